@@ -0,0 +1,28 @@
+'use strict';
+/*
+ * Model for Changeset tags
+ *
+ * Schema http://chrisnatali.github.io/osm_notes/osm_schema.html#changeset_tags
+ *
+ */
+
+var ChangesetTag = {
+
+  tableName: 'changeset_tags',
+  attributes: {
+    changeset_id: {
+      type: 'integer',
+      model: 'Changeset'
+    },
+    k: {
+      type: 'string',
+      truthy: true
+    },
+    v: {
+      type: 'string',
+      truthy: true
+    }
+  },
+};
+
+module.exports = ChangesetTag;
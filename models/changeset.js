@@ -0,0 +1,152 @@
+'use strict';
+/*
+ * Model for Changesets
+ *
+ * Schema http://chrisnatali.github.io/osm_notes/osm_schema.html#changesets
+ *
+ */
+
+var knex = require('../connection.js');
+var ChangesetTag = require('./changeset-tag.js');
+
+var Changeset = {
+
+  tableName: 'changesets',
+
+  attributes: {
+    id: {
+      type: 'integer',
+      autoIncrement: true,
+      unique: true,
+      primaryKey: true,
+      index: true
+    },
+    user_id: {
+      type: 'integer',
+      numeric: true,
+      model: 'users'
+    },
+    created_at: {
+      type: 'datetime',
+      datetime: true
+    },
+    // While a changeset is open, this is the time at which it will close.
+    closed_at: {
+      type: 'datetime',
+      datetime: true
+    },
+    min_lat: {
+      type: 'integer',
+      numeric: true
+    },
+    max_lat: {
+      type: 'integer',
+      numeric: true
+    },
+    min_lon: {
+      type: 'integer',
+      numeric: true
+    },
+    max_lon: {
+      type: 'integer',
+      numeric: true
+    },
+    num_changes: {
+      type: 'integer',
+      numeric: true
+    }
+  },
+
+  // Like on openstreetmap.org, a changeset closes after an hour without
+  // uploads, and a day after it was opened at the latest.
+  idleTimeout: 60 * 60 * 1000,
+  maxDuration: 24 * 60 * 60 * 1000,
+
+  isOpen: function(meta) {
+    return new Date(meta.closed_at) > new Date();
+  },
+
+  // The time at which the changeset will close if nothing else is uploaded.
+  expiry: function(meta) {
+    var created = new Date(meta.created_at).getTime();
+    var now = Date.now();
+    return new Date(Math.min(now + Changeset.idleTimeout,
+      created + Changeset.maxDuration));
+  },
+
+  // Open a new changeset for the given user, creating the user if it
+  // doesn't exist yet. `tags` is a list of {k, v} objects.
+  // Resolves with the id of the new changeset.
+  create: function(uid, userName, tags) {
+    var now = new Date();
+
+    return knex('users')
+    .where('id', uid)
+    .then(function (users) {
+      if(users.length > 0)
+        return uid;
+
+      return knex('users')
+      .insert({
+        id: uid,
+        display_name: userName,
+        // TODO: we aren't using the following fields; they're just here to
+        // cooperate w the database schema.
+        email: uid + '@openroads.org',
+        pass_crypt: '00000000000000000000000000000000',
+        data_public: true,
+        creation_time: new Date()
+      });
+    })
+    .then(function () {
+      return knex.transaction(function(transaction) {
+        return transaction(Changeset.tableName)
+        .returning('id')
+        .insert({
+          user_id: uid,
+          created_at: now,
+          closed_at: Changeset.expiry({created_at: now}),
+          num_changes: 0
+        })
+        .then(function (ids) {
+          if(ids.length < 1) {
+            throw new Error('Could not add changeset to database.');
+          }
+          if (!tags || !tags.length) {
+            return ids[0];
+          }
+          return transaction(ChangesetTag.tableName)
+          .insert(tags.map(function(tag) {
+            return {
+              changeset_id: ids[0],
+              k: tag.k,
+              v: tag.v
+            };
+          }))
+          .then(function () {
+            return ids[0];
+          });
+        });
+      });
+    });
+  },
+
+  close: function(id) {
+    return knex(Changeset.tableName)
+    .where('id', id)
+    .update({ closed_at: new Date() });
+  },
+
+  // Remove a changeset and its tags. Only for changesets that nothing was
+  // saved to, like the temporary changeset of a dry run.
+  destroy: function(id) {
+    return knex(ChangesetTag.tableName)
+    .where('changeset_id', id)
+    .del()
+    .then(function () {
+      return knex(Changeset.tableName).where('id', id).del();
+    });
+  }
+};
+
+module.exports = Changeset;
@@ -17,8 +17,6 @@ var RATIO = require('../services/ratio.js');
 var QuadTile = require('../services/quad-tile.js');
 var Chunk = require('../services/chunk.js');
 var NodeTag = require('./node-tag.js');
-var WayNode = require('./way-node.js');
-var Way = require('./way.js');
 
 var Node = {
 
@@ -74,7 +72,9 @@ var Node = {
     var ratio = RATIO;
     var model = {};
     model.visible = (entity.visible !== 'false' && entity.visible !== false);
-    model.version = parseInt(entity.version, 10) || 1;
+    // Versions are assigned by the server; new entities start at 1,
+    // and modify or delete increment the version stored in the database.
+    model.version = 1;
     model.timestamp = new Date();
     if (entity.lat && entity.lon) {
       entity.lat = parseFloat(entity.lat);
@@ -125,32 +125,6 @@ var Node = {
     return model
   },
 
-  canBeDeleted: function(nodeId) {
-    // No need to call parseInt on node_id, as that's already handled upstream.
-    return knex(WayNode.tableName)
-    .where('node_id', nodeId)
-    .then(function wayNodeResp(wayNodes) {
-      // If this node belongs to a way, check to see if
-      // any of those ways are visible, aka not deleted yet.
-      // Return false if this node is still part of an existing way.
-      if (wayNodes) {
-        return knex(Way.tableName).whereIn('id',_.pluck(wayNodes, 'way_id'))
-        .then(function(ways) {
-          var visible = _.chain(ways)
-          .pluck('visible')
-          .reduce(function(curr, val) { return curr && val; }, true)
-          .value();
-          return visible;
-        });
-      } else {
-        return true;
-      }
-    })
-    .catch(function(err) {
-      throw new Error(err);
-    });
-  },
-
   // Attach a list of tags to a list of entities
   // by creating a mapping of entities by their id.
   withTags: function(entities, tags, accessor) {
@@ -260,8 +234,10 @@ var Node = {
     }
 
     return Promise.map(raw, function(entity) {
+      var model = Node.fromEntity(entity, q.meta);
+      model.version = knex.raw('version + 1');
       return q.transaction(Node.tableName).where({id: entity.id})
-        .update(Node.fromEntity(entity, q.meta));
+        .update(model);
     })
     .then(deleteTags)
     .then(function () {
@@ -293,7 +269,12 @@ var Node = {
     var ids = _.pluck(q.changeset['delete'].node, 'id');
 
     return q.transaction(Node.tableName).whereIn('id', ids)
-    .update({ visible: false, changeset_id: q.meta.id }).returning('id')
+    .update({
+      visible: false,
+      changeset_id: q.meta.id,
+      timestamp: new Date(),
+      version: knex.raw('version + 1')
+    }).returning('id')
 
     .then(function(invisibleNodes) {
       return q.transaction(NodeTag.tableName).whereIn('node_id', invisibleNodes)
@@ -55,7 +55,9 @@ var Relation = {
   fromEntity: function(entity, meta) {
     var model = {};
     model.visible = (entity.visible !== 'false' && entity.visible !== false);
-    model.version = parseInt(entity.version, 10) || 1;
+    // Versions are assigned by the server; new entities start at 1,
+    // and modify or delete increment the version stored in the database.
+    model.version = 1;
     model.timestamp = new Date();
 
     var id = parseInt(entity.id, 10);
@@ -72,6 +74,40 @@ var Relation = {
   },
 
   fromOSM: function(xml) {
+
+    // Transfer all attributes.
+    var model = {};
+    var attributes = xml.attrs();
+    for (var i = 0, ii = attributes.length; i < ii; ++i) {
+      var attr = attributes[i];
+      model[attr.name()] = attr.value();
+    }
+
+    // Transfer tags and members.
+    var children = xml.childNodes();
+    var tags = [];
+    var members = [];
+    for (var i = 0, ii = children.length; i < ii; ++i) {
+      var child = children[i];
+      var type = child.name();
+      if (type === 'tag') {
+        tags.push({
+          k: child.attr('k').value(),
+          v: child.attr('v').value()
+        });
+      }
+      else if (type === 'member') {
+        var role = child.attr('role');
+        members.push({
+          type: child.attr('type').value(),
+          ref: child.attr('ref').value(),
+          role: role ? role.value() : ''
+        });
+      }
+    }
+    model.tag = tags;
+    model.member = members;
+    return model;
   },
 
   createDependents: function(raw, ids, map, transaction) {
@@ -177,6 +213,7 @@ var Relation = {
 
     return Promise.map(raw, function(entity) {
       var model = Relation.fromEntity(entity, q.meta);
+      model.version = knex.raw('version + 1');
       return q.transaction(Relation.tableName).where({ id: entity.id }).update(model)
     })
     .then(function() {
@@ -191,14 +228,19 @@ var Relation = {
     });
   },
 
-  // TODO this destroy function does not implement a check
-  // to see if any relation is a part of any other relation.
+  // Relations that are still members of other relations are filtered out
+  // beforehand, see services/check-references.js.
   'delete': function(q) {
     var raw = q.changeset['delete'].relation;
     var ids = _.pluck(raw, 'id');
 
     return q.transaction(Relation.tableName).whereIn('id', ids)
-    .update({ visible: false, changeset_id: q.meta.id }).returning('id')
+    .update({
+      visible: false,
+      changeset_id: q.meta.id,
+      timestamp: new Date(),
+      version: knex.raw('version + 1')
+    }).returning('id')
     .then(function(removed) {
       return Relation.destroyDependents(removed, q.transaction);
     })
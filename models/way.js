@@ -56,7 +56,9 @@ var Way = {
   fromEntity: function(entity, meta) {
     var model = {};
     model.visible = (entity.visible !== 'false' && entity.visible !== false);
-    model.version = parseInt(entity.version, 10) || 1;
+    // Versions are assigned by the server; new entities start at 1,
+    // and modify or delete increment the version stored in the database.
+    model.version = 1;
     model.timestamp = new Date();
 
     // Parse int on entity.id, so we can see if it's a negative id.
@@ -107,13 +109,6 @@ var Way = {
     return model;
   },
 
-  canBeDeleted: function(way_id) {
-    // TODO add relations support
-    return new Promise(function(fullfill, reject) {
-      fullfill(true)
-    })
-  },
-
   attachNodeIDs: function(ways, wayNodes) {
     // For each way, attach every node it contains using the wayNodes server
     //response.
@@ -216,6 +211,7 @@ var Way = {
 
     return Promise.map(raw, function(entity) {
       var model = Way.fromEntity(entity, q.meta);
+      model.version = knex.raw('version + 1');
       return q.transaction(Way.tableName).where({ id: entity.id }).update(model)
     })
 
@@ -274,7 +270,12 @@ var Way = {
   'delete': function(q) {
     var ids = _.pluck(q.changeset['delete'].way, 'id');
     return q.transaction(Way.tableName).whereIn('id', ids)
-    .update({ visible: false, changeset_id: q.meta.id }).returning('id')
+    .update({
+      visible: false,
+      changeset_id: q.meta.id,
+      timestamp: new Date(),
+      version: knex.raw('version + 1')
+    }).returning('id')
     .then(function(invisibleWays) {
       q.transaction(WayTag.tableName).whereIn('way_id', invisibleWays).del();
       return q.transaction(WayNode.tableName).whereIn('way_id', invisibleWays).del()
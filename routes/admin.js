@@ -6,6 +6,7 @@ var extent = require('turf-extent');
 var getAdminBoundary = require('../services/admin-boundary.js');
 var getSubregionFeatures = require('../services/admin-subregions.js').getFeatures;
 var queryPolygon = require('../services/query-polygon.js');
+var roadLength = require('../services/road-length.js');
 var knex = require('../connection');
 var ID = require('../services/id');
 
@@ -104,7 +105,8 @@ module.exports = [
    * @apiName GetAdminRoadNetwork
    * @apiDescription This endpoint returns the metadata and road-network about
    * the given admin area.
-   * The results are returned in GeoJSON.
+   * The results are returned in GeoJSON. Roads are clipped to the admin area,
+   * and their lengths are those of the clipped roads.
    * @apiVersion 0.1.0
    *
    * @apiParam {Number} ID ID of municipality, city or barangay.
@@ -122,7 +124,10 @@ module.exports = [
    * @apiSuccess {String} properties.ID_1_OR Region ID.
    * @apiSuccess {String} properties.ID_2_OR Province ID.
    * @apiSuccess {String} properties.ID_3_OR Municipality / city ID.
-   * @apiSuccess {Array} features The roads
+   * @apiSuccess {Number} properties.length_km Total length of the roads in
+   * the area, in kilometers.
+   * @apiSuccess {Array} features The roads, with their geodesic length in
+   * kilometers as `length_km`.
    *
    * @apiExample {curl} Example Usage:
    *    curl http://localhost:4000/admin/13591204000?roadNetwork=true
@@ -138,14 +143,16 @@ module.exports = [
    *     "NAME_1": "Region IV-B (Mimaropa)",
    *     "NAME_2": "Palawan"
    *     "ID_1_OR": 13000000000,
-   *     "ID_2_OR": 13590000000
+   *     "ID_2_OR": 13590000000,
+   *     "length_km": 412.815
    *   },
    *   "features": [
    *     {
    *       "type": "Feature",
    *       "properties": {
    *         "highway": "road",
-   *         "source": "Palawan Provincial Government, in association with REID Foundation and World bank."
+   *         "source": "Palawan Provincial Government, in association with REID Foundation and World bank.",
+   *         "length_km": 3.109
    *       },
    *       "geometry": {
    *         "type": "LineString",
@@ -175,6 +182,7 @@ module.exports = [
         else if (Boolean(req.query.roadNetwork)) {
           return queryPolygon(boundary).then(function (roads) {
             var props = fixProperties(boundary, roads.properties);
+            props.length_km = roadLength.addLengths(roads);
             return res({
               type: roads.type,
               properties: props,
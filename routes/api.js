@@ -0,0 +1,278 @@
+'use strict';
+var _ = require('lodash');
+var Boom = require('boom');
+
+var knex = require('../connection.js');
+var maxArea = require('../services/max-area.js');
+var queryChangesets = require('../services/query-changesets.js');
+var readStream = require('../services/xml-stream.js');
+var XML = require('../services/xml.js');
+
+/*
+ * The OSM API 0.6, for editors such as JOSM and iD, under /api/0.6.
+ * Requests are passed on to the handlers of the other routes, with the
+ * parameters they expect, and their responses are changed where the OSM API
+ * responds differently.
+ *
+ * There are no users yet: changesets are opened by the default user,
+ * unless `uid` and `user` are given in the query.
+ *
+ * Errors are sent as plain text, as the OSM API does, and not as JSON.
+ */
+
+var TYPES = ['node', 'way', 'relation'];
+
+// What editors are told about the limits of the API.
+var LIMITS = {
+  area: maxArea,
+  // Editors split uploads in changesets of this many elements. Bigger
+  // uploads are still accepted.
+  changesetElements: 10000,
+  timeout: 300
+};
+
+// Errors that the other routes report with another status than the OSM API.
+var STATUS = {
+  'Could not find changeset': 404
+};
+
+// Find the handler of a route, in a module of routes.
+function handlerOf(routes, method, path) {
+  return _.find([].concat(routes), function (route) {
+    return route.method === method && route.path === path;
+  }).handler;
+}
+
+// Reply with an error as the OSM API does, with the message as plain text,
+// in the body and in the Error header.
+function sendError(err, res) {
+  var message = err.output.payload.message;
+  var status = STATUS[message] || err.output.statusCode;
+  return res(message).code(status).type('text/plain').header('Error', message);
+}
+
+/*
+ * Make a handler that passes the request on to `handler`. `transform` can
+ * return the params, query, payload or headers to use instead of those of
+ * the request, and `reply` can change the response, which is what the
+ * handler would have replied with. Errors are sent as the OSM API does.
+ */
+function forward(handler, transform, reply) {
+  return function (req, res) {
+    var request = _.extend({
+      params: req.params,
+      query: req.query,
+      payload: req.payload,
+      headers: req.headers
+    }, transform ? transform(req) : {});
+    handler(request, function (result) {
+      if (result && result.isBoom) {
+        return sendError(result, res);
+      }
+      return reply ? reply(result, res) : res.apply(null, arguments);
+    });
+  };
+}
+
+function sendXML(doc, res) {
+  var response = res(doc.toString());
+  return response.type('text/xml');
+}
+
+var capabilities = {
+  method: 'GET',
+  handler: function (req, res) {
+    sendXML(XML.writeCapabilities(LIMITS), res);
+  }
+};
+
+var routes = [
+  /**
+   * @api {get} /api/capabilities OSM API - Capabilities
+   * @apiGroup OSM API
+   * @apiName ApiCapabilities
+   * @apiDescription Returns the version and limits of the API, as OSM
+   * editors expect them. Also at `/api/0.6/capabilities`.
+   *
+   * Every route of the OSM API 0.6 that OpenRoads supports is available
+   * under `/api/0.6`, with the same parameters and responses as on
+   * openstreetmap.org, so JOSM and iD can use this API directly:
+   *
+   * - `GET /api/0.6/map?bbox=`
+   * - `PUT /api/0.6/changeset/create`, `GET /api/0.6/changeset/:id`,
+   *   `PUT /api/0.6/changeset/:id/close`, `GET /api/0.6/changeset/:id/download`,
+   *   `POST /api/0.6/changeset/:id/upload` and `GET /api/0.6/changesets`
+   * - `GET /api/0.6/:type/:id`, `GET /api/0.6/:types?:types=`,
+   *   `GET /api/0.6/way/:id/full` and `GET /api/0.6/relation/:id/full`
+   * - `GET /api/0.6/:type/:id/history` and `GET /api/0.6/:type/:id/:version`
+   * - `GET /api/0.6/node/:id/ways` and `GET /api/0.6/:type/:id/relations`
+   *
+   * There are no user accounts: changesets are opened by the default user,
+   * unless `uid` and `user` are given in the query. Errors are sent with the
+   * status codes of the OSM API, and their message as plain text, in the body
+   * and in the `Error` header.
+   * @apiVersion 0.1.0
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/api/capabilities
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="DevelopmentSeed">
+   *    <api>
+   *      <version minimum="0.6" maximum="0.6"/>
+   *      <area maximum="0.3"/>
+   *      <changesets maximum_elements="10000"/>
+   *      <timeout seconds="300"/>
+   *      <status database="online" api="online" gpx="offline"/>
+   *    </api>
+   *  </osm>
+   */
+  _.extend({ path: '/api/capabilities' }, capabilities),
+  _.extend({ path: '/api/0.6/capabilities' }, capabilities),
+  {
+    method: 'GET',
+    path: '/api/0.6/map',
+    handler: forward(require('./map.js').handler)
+  },
+  {
+    method: 'PUT',
+    path: '/api/0.6/changeset/create',
+    handler: forward(require('./changeset-create.js').handler, function (req) {
+      return { query: _.defaults({}, req.query, { uid: 99, user: 'openroads' }) };
+    }, function (result, res) {
+      // The OSM API responds with the id alone.
+      return res(String(result.id)).type('text/plain');
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/0.6/changeset/{id}',
+    handler: function (req, res) {
+      var id = parseInt(req.params.id || '', 10);
+      if (!id || isNaN(id)) {
+        return sendError(Boom.badRequest('Changeset ID must be a non-zero number'), res);
+      }
+      queryChangesets(knex, { id: id })
+      .then(function (changesets) {
+        if (!changesets.length) {
+          throw Boom.notFound('Could not find changeset');
+        }
+        sendXML(XML.writeChangesets(changesets), res);
+      })
+      .catch(function (err) {
+        console.log(err);
+        sendError(Boom.wrap(err), res);
+      });
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/0.6/changeset/{id}/close',
+    handler: forward(require('./changeset-close.js').handler, function (req) {
+      return { params: { changesetID: req.params.id } };
+    }, function (result, res) {
+      return res('').type('text/plain');
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/0.6/changeset/{id}/download',
+    handler: forward(require('./changeset-download.js').handler, function (req) {
+      return { params: { changesetID: req.params.id }, query: {} };
+    })
+  },
+  {
+    method: 'POST',
+    path: '/api/0.6/changeset/{id}/upload',
+    config: {
+      payload: {
+        output: 'stream',
+        parse: false
+      }
+    },
+    // osmChange XML is read as it comes in, and the response is always a
+    // diffResult.
+    handler: forward(require('./changeset-upload.js').handler, function (req) {
+      return {
+        params: { changesetID: req.params.id },
+        query: {},
+        headers: _.extend({}, req.headers, { accept: 'text/xml' }),
+        payload: {
+          osmChange: function (save) {
+            return readStream(req.payload, save);
+          }
+        }
+      };
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/0.6/changesets',
+    handler: forward(require('./changesets.js').handler, null, function (changesets, res) {
+      return sendXML(XML.writeChangesets(changesets), res);
+    })
+  }
+];
+
+var multiFetch = require('./multi-fetch.js');
+var history = require('./history.js');
+var reverseLookups = require('./reverse-lookups.js');
+
+TYPES.forEach(function (type) {
+  var plural = type + 's';
+  var fetch = handlerOf(multiFetch, 'GET', '/xml/' + plural);
+
+  routes.push({
+    method: 'GET',
+    path: '/api/0.6/' + plural,
+    handler: forward(fetch)
+  },
+  {
+    // A single element is fetched like several, so a missing element is
+    // a 404 and a deleted one is returned with visible="false".
+    method: 'GET',
+    path: '/api/0.6/' + type + '/{id}',
+    handler: forward(fetch, function (req) {
+      var query = {};
+      query[plural] = req.params.id;
+      return { query: query };
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/0.6/' + type + '/{id}/history',
+    handler: forward(handlerOf(history, 'GET', '/xml/' + type + '/{id}/history'))
+  },
+  {
+    method: 'GET',
+    path: '/api/0.6/' + type + '/{id}/{version}',
+    handler: forward(handlerOf(history, 'GET', '/xml/{type}/{id}/{version}'), function (req) {
+      return { params: _.extend({ type: type }, req.params) };
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/0.6/' + type + '/{id}/relations',
+    handler: forward(handlerOf(reverseLookups, 'GET', '/xml/' + type + '/{id}/relations'))
+  });
+});
+
+routes.push({
+  method: 'GET',
+  path: '/api/0.6/node/{id}/ways',
+  handler: forward(handlerOf(reverseLookups, 'GET', '/xml/node/{id}/ways'))
+},
+{
+  method: 'GET',
+  path: '/api/0.6/way/{id}/full',
+  handler: forward(handlerOf(require('./way.js'), 'GET', '/xml/way/{wayId}/full'), function (req) {
+    return { params: { wayId: req.params.id } };
+  })
+},
+{
+  method: 'GET',
+  path: '/api/0.6/relation/{id}/full',
+  handler: forward(handlerOf(require('./relations.js'), 'GET', '/xml/relation/{id}/full'))
+});
+
+module.exports = routes;
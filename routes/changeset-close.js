@@ -0,0 +1,62 @@
+'use strict';
+
+var Boom = require('boom');
+var knex = require('../connection.js');
+var Changeset = require('../models/changeset.js');
+
+module.exports = {
+  /**
+   * @api {put} /changeset/:id/close Close a changeset
+   * @apiGroup Changeset
+   * @apiName CloseChangeset
+   * @apiDescription Close an open changeset. Nothing else can be uploaded
+   * to a closed changeset. Changesets that are not closed explicitly close
+   * by themselves an hour after their last upload.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} id Changeset ID
+   *
+   * @apiSuccess {Number} id Closed changeset ID
+   * @apiSuccess {Date} closed_at Time at which the changeset was closed
+   *
+   * @apiError (404) NotFound The changeset does not exist.
+   * @apiError (409) Conflict The changeset is already closed.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl -X PUT http://localhost:4000/changeset/1194/close
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *  {"id":"1194","closed_at":"2015-04-21T18:44:51.858Z"}
+   */
+  method: 'PUT',
+  path: '/changeset/{changesetID}/close',
+  handler: function changesetClose(req, res) {
+    var changesetID = parseInt(req.params.changesetID || '', 10);
+    if (!changesetID || isNaN(changesetID)) {
+      return res(Boom.badRequest('Changeset ID must be a non-zero number'));
+    }
+
+    knex(Changeset.tableName)
+    .where('id', changesetID)
+    .then(function (meta) {
+      if (meta.length === 0) {
+        throw Boom.notFound('Could not find changeset');
+      }
+      if (!Changeset.isOpen(meta[0])) {
+        throw Boom.conflict('The changeset ' + changesetID +
+          ' was closed at ' + new Date(meta[0].closed_at).toISOString());
+      }
+      return Changeset.close(changesetID);
+    })
+    .then(function () {
+      return knex(Changeset.tableName).where('id', changesetID);
+    })
+    .then(function (meta) {
+      return res({id: meta[0].id, closed_at: meta[0].closed_at});
+    })
+    .catch(function (err) {
+      console.log(err);
+      return res(Boom.wrap(err));
+    });
+  }
+};
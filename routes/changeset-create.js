@@ -1,24 +1,36 @@
 'use strict';
 
 var Boom = require('boom');
-var knex = require('../connection.js');
+var Changeset = require('../models/changeset.js');
+var XML = require('../services/xml.js');
 
 module.exports = {
   /**
    * @api {put} /changeset/create Create a changeset
    * @apiGroup Changeset
    * @apiName CreateChangeset
-   * @apiDescription Given a user and a user ID, create a new changeset and
+   * @apiDescription Given a user and a user ID, open a new changeset and
    * return the newly created changeset ID.
+   *
+   * The changeset stays open for uploads until it is closed with
+   * `/changeset/:id/close`, after an hour without uploads, or a day after it
+   * was created, whichever comes first.
+   *
+   * Changeset tags can be sent as an OSM XML `<changeset>` body, with
+   * `Content-Type: text/xml`. The user is then given in the query string.
    * @apiVersion 0.1.0
    *
    * @apiParam {Number} uid User ID
-   * @apiParam {String} user User name 
+   * @apiParam {String} user User name
+   * @apiParam {String} [comment] Changeset comment, stored as a `comment` tag.
    *
    * @apiSuccess {Number} id Created changeset ID
    *
-   * @apiExample {curl} Example Usage: 
-   *    curl -X PUT --data "uid=1&user=openroads" http://localhost:4000/changeset/create 
+   * @apiExample {curl} Example Usage:
+   *    curl -X PUT --data "uid=1&user=openroads" http://localhost:4000/changeset/create
+   *
+   * @apiExample {curl} With changeset tags:
+   *    curl -X PUT -H 'Content-Type: text/xml' --data '<osm><changeset><tag k="comment" v="Road conditions in Dao"/></changeset></osm>' 'http://localhost:4000/changeset/create?uid=1&user=openroads'
    *
    * @apiSuccessExample {json} Success-Response:
    *  {"id":"1194"}
@@ -26,49 +38,32 @@ module.exports = {
   method: 'PUT',
   path: '/changeset/create',
   handler: function changesetCreate(req, res) {
-    var now = new Date();
-    var uid = req.payload.uid;
-    var userName = req.payload.user;
+    var payload = req.payload || {};
+    var uid, userName, tags, changeset;
+
+    if (typeof payload === 'string') {
+      try {
+        changeset = XML.readChangeset(payload);
+      } catch (e) {
+        return res(Boom.badRequest('Could not parse changeset XML'));
+      }
+      uid = changeset.uid || req.query.uid;
+      userName = changeset.user || req.query.user;
+      tags = changeset.tag;
+    }
+    else {
+      uid = payload.uid;
+      userName = payload.user;
+      tags = payload.comment ? [{k: 'comment', v: payload.comment}] : [];
+    }
 
     if (!uid || !userName) {
       return res(Boom.badRequest('A new changeset must include a user id and a username.'));
     }
 
-    knex('users')
-    .where('id', uid)
-    .then(function (users) {
-      if(users.length > 0)
-        return uid;
-
-      return knex('users')
-      .insert({
-        id: uid,
-        display_name: userName,
-        // TODO: we aren't using the following fields; they're just here to
-        // cooperate w the database schema.
-        email: uid + '@openroads.org',
-        pass_crypt: '00000000000000000000000000000000',
-        data_public: true,
-        creation_time: new Date()
-      });
-
-    })
-    .then(function () {
-      return knex('changesets')
-      .returning('id')
-      .insert({
-        user_id: uid,
-        created_at: now,
-        closed_at: now,
-        num_changes: 0
-      })
-      .then(function (ids) {
-        if(ids.length < 1) {
-          throw new Error('Could not add changeset to database.');
-        }
-
-        return res({id: ids[0]});
-      });
+    Changeset.create(uid, userName, tags)
+    .then(function (id) {
+      return res({id: id});
     })
     .catch(function (err) {
       console.log(err);
@@ -0,0 +1,192 @@
+'use strict';
+
+var _ = require('lodash');
+var Boom = require('boom');
+
+var knex = require('../connection.js');
+var changesetHistory = require('../services/query-history.js').changesetHistory;
+var RATIO = require('../services/ratio.js');
+var XML = require('../services/xml.js');
+
+// Keys used by XML.write for each entity type.
+var writeKeys = {
+  node: 'nodes',
+  way: 'ways',
+  relation: 'relations'
+};
+
+// The first version of an entity is its creation, and an invisible version
+// is its deletion. Everything else is a modification.
+function actionOf(entity) {
+  if (+entity.version === 1) {
+    return 'create';
+  }
+  return entity.visible ? 'modify' : 'delete';
+}
+
+// Convert an entity from the history tables to the osmChange JSON format of
+// /changeset/:id/upload, keeping its id and version.
+function toJSON(entity, type) {
+  var json = {
+    id: entity.id,
+    version: entity.version,
+    changeset: entity.changeset_id,
+    visible: entity.visible,
+    tag: entity.tags.map(function(tag) {
+      return { k: tag.k, v: tag.v };
+    })
+  };
+  if (type === 'node') {
+    json.lat = entity.latitude / RATIO;
+    json.lon = entity.longitude / RATIO;
+  }
+  else if (type === 'way') {
+    json.nd = entity.nodes.map(function(wayNode) {
+      return { ref: wayNode.node_id };
+    });
+  }
+  else if (type === 'relation') {
+    json.member = entity.members.map(function(member) {
+      return {
+        type: member.member_type.toLowerCase(),
+        ref: member.member_id,
+        role: member.member_role
+      };
+    });
+  }
+  return json;
+}
+
+function download(req, res) {
+  var changesetID = parseInt(req.params.changesetID || '', 10);
+  if (!changesetID || isNaN(changesetID)) {
+    return res(Boom.badRequest('Changeset ID must be a non-zero number'));
+  }
+
+  knex('changesets')
+  .where('id', changesetID)
+  .then(function(changesets) {
+    if (!changesets.length) {
+      throw Boom.notFound('Could not find changeset');
+    }
+    return changesetHistory(knex, changesetID);
+  })
+  .then(function(history) {
+    if (req.query.format === 'json') {
+      var json = {
+        version: 0.6,
+        generator: 'DevelopmentSeed',
+        create: {},
+        modify: {},
+        'delete': {}
+      };
+      _.forEach(history, function(entities, type) {
+        entities.forEach(function(entity) {
+          var action = json[actionOf(entity)];
+          if (!action[type]) {
+            action[type] = [];
+          }
+          action[type].push(toJSON(entity, type));
+        });
+      });
+      return res({osmChange: json});
+    }
+
+    var change = {};
+    _.forEach(history, function(entities, type) {
+      entities.forEach(function(entity) {
+        var action = actionOf(entity);
+        if (!change[action]) {
+          change[action] = {};
+        }
+        if (!change[action][writeKeys[type]]) {
+          change[action][writeKeys[type]] = [];
+        }
+        change[action][writeKeys[type]].push(entity);
+      });
+    });
+    var response = res(XML.writeChange(change).toString());
+    response.type('text/xml');
+  })
+  .catch(function(err) {
+    console.log(err);
+    res(Boom.wrap(err));
+  });
+}
+
+module.exports = {
+  /**
+   * @api {get} /changeset/:id/download Download a changeset
+   * @apiGroup Changeset
+   * @apiName DownloadChangeset
+   * @apiDescription Returns every edit made in the changeset as an osmChange
+   * document, read from the history tables. The first version of an entity
+   * is listed as a creation, a deleted version as a deletion, and every
+   * other version as a modification.
+   *
+   * Add `?format=json` to get the changes in the osmChange JSON format of
+   * `/changeset/:id/upload`. Entities have their ids and versions as saved
+   * by the changeset, so the document describes the changeset, and can't be
+   * uploaded again as it is: the versions of modified and deleted entities
+   * would conflict, and created entities have their ids rather than
+   * placeholders.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} id Changeset ID
+   * @apiParam {String} [format] Use `json` for an osmChange JSON response.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/changeset/1194/download
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osmChange version="0.6" generator="DevelopmentSeed">
+   *    <create>
+   *      <node id="743049" visible="true" version="1" changeset="1194"
+   *        timestamp="Tue Apr 21 2015 18:44:51 GMT+0000 (UTC)"
+   *        user="openroads" uid="99" lat="9.7923478" lon="123.9780018"/>
+   *    </create>
+   *    <modify>
+   *      <way id="26" visible="true" version="2" changeset="1194"
+   *        timestamp="Tue Apr 21 2015 18:44:51 GMT+0000 (UTC)"
+   *        user="openroads" uid="99">
+   *        <nd ref="27"/>
+   *        <nd ref="743049"/>
+   *        <tag k="highway" v="unclassified"/>
+   *      </way>
+   *    </modify>
+   *  </osmChange>
+   *
+   * @apiSuccessExample {json} JSON-Response:
+   *  {
+   *    "osmChange": {
+   *      "version": 0.6,
+   *      "generator": "DevelopmentSeed",
+   *      "create": {
+   *        "node": [{
+   *          "id": "743049",
+   *          "version": "1",
+   *          "changeset": "1194",
+   *          "visible": true,
+   *          "tag": [],
+   *          "lat": 9.7923478,
+   *          "lon": 123.9780018
+   *        }]
+   *      },
+   *      "modify": {
+   *        "way": [{
+   *          "id": "26",
+   *          "version": "2",
+   *          "changeset": "1194",
+   *          "visible": true,
+   *          "tag": [{"k": "highway", "v": "unclassified"}],
+   *          "nd": [{"ref": "27"}, {"ref": "743049"}]
+   *        }]
+   *      },
+   *      "delete": {}
+   *    }
+   *  }
+   */
+  method: 'GET',
+  path: '/changeset/{changesetID}/download',
+  handler: download
+};
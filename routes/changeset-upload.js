@@ -2,19 +2,14 @@
 
 var _ = require('lodash');
 var Boom = require('boom');
-var Promise = require('bluebird');
 
-var knex = require('../connection.js');
-var BoundingBox = require('../services/bounding-box.js');
 var log = require('../services/log.js');
-
-var models = {
-  node: require('../models/node-model.js'),
-  way: require('../models/way.js'),
-  relation: require('../models/relation.js')
-};
+var uploadChangeset = require('../services/upload.js');
+var XML = require('../services/xml.js');
 
 function upload(req, res) {
+  var dryRun = isSet(req.query, 'dryRun');
+  var strictTags = isSet(req.query, 'strictTags');
   var changesetID = req.params.changesetID;
   if (!changesetID || isNaN(changesetID)) {
     return res(Boom.badRequest('Changeset ID must be a non-zero number'));
@@ -26,103 +21,103 @@ function upload(req, res) {
     return res(Boom.badRequest('Problem reading changeset JSON'));
   }
 
-  knex('changesets')
-    .where('id', changesetID)
+  // The ids and versions of what was saved, for the diffResult.
+  // The payload can also be a function that reads the changes in batches,
+  // see services/upload.js.
+  var saved = {create: {}, modify: {}, 'delete': {}};
+  var feed = typeof changesetPayload === 'function' ? changesetPayload :
+    function(save) { return save(changesetPayload); };
 
-    .then(function(meta) {
-      if (meta.length === 0) {
-        return res(Boom.badRequest('Could not find changeset'));
-      }
-      return _upload(meta[0], changesetPayload).catch(function(err) {
-        log.error('Changeset transaction fails', err);
-        return res(Boom.badImplementation('Could not complete changeset actions'));
+  uploadChangeset(changesetID, function(save) {
+    return feed(function(batch) {
+      return save(batch).then(function() {
+        record(saved, batch);
       });
-    })
-
+    });
+  }, {dryRun: dryRun, strictTags: strictTags})
     .then(function(changeObject) {
+      if (dryRun) {
+        return res(_.extend({dryRun: true, valid: true, errors: []}, changeObject));
+      }
+      if (acceptsXML(req)) {
+        var diff = diffResult(saved, changeObject.created, changeObject.skipped);
+        var response = res(XML.writeDiffResult(diff).toString());
+        return response.type('text/xml');
+      }
       return res(changeObject);
     })
 
     .catch(function(err) {
-      log.error('Changeset not found', err);
-      return res(Boom.badRequest('Could not find changeset'));
+      // Conflicts and other client errors are passed through as they are,
+      // or reported in the response of a dry run.
+      if (err.isBoom) {
+        if (dryRun) {
+          return res({dryRun: true, valid: false, errors: [err.output.payload]});
+        }
+        return res(err);
+      }
+      log.error('Changeset transaction fails', err);
+      return res(Boom.badImplementation('Could not complete changeset actions'));
     });
 }
 
-function _upload(meta, changeset) {
-    // Useful to keep track of how long stuff takes.
-    var time = new Date();
-    log.info('Starting changeset transaction');
-    return knex.transaction(function(transaction) {
-
-      var queryData = {
-        // Map of old ids to newly-created ones.
-        map: {
-          node: {},
-          way: {},
-          relation: {}
-        },
-        transaction: transaction,
-        changeset: changeset,
-        meta: meta
-      };
+// Whether a boolean query parameter is true.
+function isSet(query, name) {
+  return !!query && (query[name] === true || query[name] === 'true');
+}
 
-      return models.node.save(queryData)
-      .then(function() {
-        log.info('Nodes transaction completed', (new Date() - time) / 1000, 'seconds');
-        time = new Date();
-        return models.way.save(queryData);
-      })
-      .then(function() {
-        log.info('Ways transaction completed', (new Date() - time) / 1000, 'seconds');
-        time = new Date();
-        return models.relation.save(queryData);
-      })
-      .then(function(saved) {
-        log.info('Relations transaction completed', (new Date() - time) / 1000, 'seconds');
-        time = new Date();
-        var newMeta = updateChangeset(meta, changeset);
-        log.info('New changeset updated', (new Date() - time) / 1000, 'seconds');
-        knex('changesets')
-          .where('id', meta.id)
-          .update(newMeta);
-        return {changeset: _.extend({}, newMeta, saved), created: queryData.map};
-      })
-      .catch(function(err) {
-        // Once we get here, rollback should happen automatically,
-        // since we are returning promises in this transaction.
-        // https://github.com/tgriesser/knex/issues/362
+// Whether the client prefers an XML response to a JSON one.
+function acceptsXML(req) {
+  var accept = (req.headers && req.headers.accept) || '';
+  var xml = accept.indexOf('xml');
+  var json = accept.indexOf('json');
+  return xml !== -1 && (json === -1 || xml < json);
+}
 
-        log.error('Changeset update fails', err);
-        return res(Boom.badImplementation('Could not update changeset'));
+// Add the ids and versions of the modified and deleted entities of a batch
+// to `saved`.
+function record(saved, batch) {
+  ['modify', 'delete'].forEach(function(action) {
+    ['node', 'way', 'relation'].forEach(function(type) {
+      (batch[action][type] || []).forEach(function(entity) {
+        saved[action][type] = saved[action][type] || [];
+        saved[action][type].push({id: entity.id, version: entity.version});
       });
-  })
+    });
+  });
 }
 
-function updateChangeset(meta, changeset) {
-
-  // Keep track of the number of changes this upload operation is doing.
-  var numChanges = parseInt(meta.num_changes, 10) || 0;
-  var nodes = [];
-  ['create', 'modify', 'delete'].forEach(function(action) {
-    if (changeset[action].node) {
-      nodes = nodes.concat(changeset[action].node);
-    }
-    ['node', 'way', 'relation'].forEach(function(entity) {
-      numChanges += changeset[action][entity] ? changeset[action][entity].length : 0;
+// List the old id, new id and new version of every entity in the changeset,
+// as expected in an OSM diffResult. `map` holds the ids of created entities,
+// and `skipped` the deletes that were skipped with if-unused, which keep
+// their id and current version.
+function diffResult(changeset, map, skipped) {
+  var diff = [];
+  ['node', 'way', 'relation'].forEach(function(type) {
+    _.forEach(map[type], function(newId, oldId) {
+      diff.push({ type: type, old_id: oldId, new_id: newId, new_version: 1 });
+    });
+    (changeset.modify[type] || []).forEach(function(entity) {
+      diff.push({
+        type: type,
+        old_id: entity.id,
+        new_id: entity.id,
+        new_version: parseInt(entity.version, 10) + 1
+      });
+    });
+    (changeset['delete'][type] || []).forEach(function(entity) {
+      diff.push({ type: type, old_id: entity.id });
+    });
+    skipped[type].forEach(function(entity) {
+      diff.push({
+        type: type,
+        old_id: entity.id,
+        new_id: entity.id,
+        new_version: parseInt(entity.version, 10)
+      });
     });
   });
-
-  var bbox = BoundingBox.fromNodes(nodes).toScaled();
-  var newChangeset = {
-    min_lon: bbox.minLon | 0,
-    min_lat: bbox.minLat | 0,
-    max_lon: bbox.maxLon | 0,
-    max_lat: bbox.maxLat | 0,
-    closed_at: new Date(),
-    num_changes: numChanges
-  };
-  return newChangeset;
+  return diff;
 }
 
 module.exports = {
@@ -132,7 +127,8 @@ module.exports = {
    * @apiName UploadChangeset
    * @apiDescription Upload JSON Changeset Data to given changeset
    * Return the changeset and a bounding box that covers the location of its
-   * edits.
+   * edits. Every new version of an entity is also written to the history
+   * tables, see `/xml/:type/:id/history`.
    *
    * The OSM Change JSON Format is the of the form
    * <pre><code>
@@ -151,6 +147,14 @@ module.exports = {
    *
    * @apiParam {Number} id Changeset ID
    * @apiParam {Object} osmChange OSM Changeset Data in JSON
+   * @apiParam {Boolean} [dryRun=false] Go through the whole upload, then roll
+   * it back. The response tells whether the upload would succeed, with the
+   * changeset and ids it would have had, or with the errors that make it
+   * fail. Ids of created entities are not reserved and will differ when the
+   * changeset is really uploaded.
+   * @apiParam {Boolean} [strictTags=false] Reject the upload if the tags of a
+   * road don't follow the tag schema, instead of returning warnings. See
+   * `/meta/tags`.
    *
    * @apiSuccess {Object} changeset Changeset object
    * @apiSuccess {String} changeset.id Changeset ID.
@@ -160,8 +164,38 @@ module.exports = {
    * @apiSuccess {Number} changeset.max_lat Max Latitude of bounding box.
    * @apiSuccess {Number} changeset.min_lon Min Longitude of bounding box.
    * @apiSuccess {Number} changeset.max_lon Max Longitude of bounding box.
-   * @apiSuccess {Date} changeset.closed_at Changeset Date of creation.
+   * @apiSuccess {Date} changeset.closed_at Time at which the changeset closes
+   * if nothing else is uploaded.
    * @apiSuccess {number} changeset.num_changes Number of edits in this changeset.
+   * Skipped deletes are not counted.
+   * @apiSuccess {Object} skipped Deletes skipped with `if-unused`, because
+   * something still uses what they delete, by type.
+   * @apiSuccess {Object[]} warnings Roads whose tags don't follow the tag
+   * schema: unknown keys or highway classes, values that are not allowed,
+   * and missing keys that the highway class requires. Each has the `type`,
+   * `id`, `key`, `value` and a `message`.
+   *
+   * @apiSuccess (diffResult) {XML} diffResult Sent instead of the JSON
+   * response if the `Accept` header asks for XML. It lists the `old_id`,
+   * `new_id` and `new_version` of every created and modified element, and
+   * the `old_id` of every deleted element, as the OSM 0.6 API does. Deletes
+   * skipped with `if-unused` have their unchanged id and current version.
+   *
+   * @apiError (400) BadRequest A way or a relation refers to a negative id
+   * that is not the id of an entity created in the same upload.
+   * @apiError (400) BadRequest With `strictTags`, the tags of a road don't
+   * follow the tag schema. They are listed in `invalidTags`, in the same
+   * format as `warnings`.
+   * @apiError (404) NotFound A modified or deleted entity does not exist.
+   * @apiError (409) Conflict The changeset is closed.
+   * @apiError (409) Conflict The version of a modified or deleted entity does
+   * not match the version in the database. Nothing in the upload is saved.
+   * Versions are incremented by the server, so the editor should send the
+   * version it last downloaded.
+   * @apiError (412) PreconditionFailed A deleted node is still used by a way
+   * or a relation, or a deleted way or relation is still used by a relation.
+   * Set `"if-unused": true` in the delete block, or `if-unused="true"` on the
+   * `<delete>` element of an osmChange file, to skip those deletes instead.
    *
    * @apiExample {curl} Example Usage:
    *  curl -d '{
@@ -204,8 +238,68 @@ module.exports = {
    *     "way":{
    *       "-1":"168483"
    *       }
-   *     }
+   *     },
+   *  "skipped": {
+   *    "node": [],
+   *    "way": [],
+   *    "relation": []
+   *    },
+   *  "warnings": [
+   *    {
+   *      "type": "way",
+   *      "id": "-1",
+   *      "key": "or_responsibility",
+   *      "value": "provincal",
+   *      "message": "Way -1: invalid value provincal for or_responsibility, expected one of national, provincial, municipal, city, barangay, fmr, private"
+   *    }
+   *  ]
    *   }
+   *
+   * @apiSuccessExample {xml} diffResult-Response:
+   *  <diffResult version="0.6" generator="DevelopmentSeed">
+   *    <node old_id="-1" new_id="743049" new_version="1"/>
+   *    <node old_id="21851" new_id="21851" new_version="2"/>
+   *    <way old_id="-1" new_id="168483" new_version="1"/>
+   *    <way old_id="21838"/>
+   *  </diffResult>
+   *
+   * @apiSuccessExample {json} DryRun-Response:
+   *  {
+   *    "dryRun": true,
+   *    "valid": false,
+   *    "errors": [
+   *      {
+   *        "statusCode": 409,
+   *        "error": "Conflict",
+   *        "message": "Version mismatch for node 21851",
+   *        "conflicts": [
+   *          {"type": "node", "id": 21851, "expected": 1, "actual": 2}
+   *        ]
+   *      }
+   *    ]
+   *  }
+   *
+   * @apiErrorExample {json} Conflict-Response:
+   *  HTTP/1.1 409 Conflict
+   *  {
+   *    "statusCode": 409,
+   *    "error": "Conflict",
+   *    "message": "Version mismatch for node 21851",
+   *    "conflicts": [
+   *      {"type": "node", "id": 21851, "expected": 1, "actual": 2}
+   *    ]
+   *  }
+   *
+   * @apiErrorExample {json} PreconditionFailed-Response:
+   *  HTTP/1.1 412 Precondition Failed
+   *  {
+   *    "statusCode": 412,
+   *    "error": "Precondition Failed",
+   *    "message": "Node 21851 is still used by way 21838",
+   *    "referenced": [
+   *      {"type": "node", "id": 21851, "usedBy": ["way 21838"]}
+   *    ]
+   *  }
    */
   method: 'POST',
   path: '/changeset/{changesetID}/upload',
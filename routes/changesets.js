@@ -0,0 +1,194 @@
+'use strict';
+var Boom = require('boom');
+var Promise = require('bluebird');
+var extent = require('turf-extent');
+
+var knex = require('../connection.js');
+var queryChangesets = require('../services/query-changesets.js');
+
+// Parse a min_lon,min_lat,max_lon,max_lat string. Unlike the map endpoints,
+// there is no limit on the area.
+function parseBbox(bboxString) {
+  var bounds = bboxString.split(',').map(parseFloat);
+  if (bounds.length !== 4 || bounds.some(isNaN) ||
+      bounds[0] > bounds[2] || bounds[1] > bounds[3]) {
+    return null;
+  }
+  return {
+    minLon: bounds[0],
+    minLat: bounds[1],
+    maxLon: bounds[2],
+    maxLat: bounds[3]
+  };
+}
+
+// The part of two bounding boxes that is in both, or null if they don't meet.
+function intersect(a, b) {
+  var bbox = {
+    minLon: Math.max(a.minLon, b.minLon),
+    minLat: Math.max(a.minLat, b.minLat),
+    maxLon: Math.min(a.maxLon, b.maxLon),
+    maxLat: Math.min(a.maxLat, b.maxLat)
+  };
+  return bbox.minLon <= bbox.maxLon && bbox.minLat <= bbox.maxLat ? bbox : null;
+}
+
+function isSet(query, name) {
+  return query[name] === true || query[name] === 'true';
+}
+
+// The boundary of an admin area, or a 404 if there is no such area.
+function adminBoundary(id) {
+  return knex('admin_boundaries')
+  .where('id', id)
+  .then(function (rows) {
+    if (!rows.length || !rows[0].geo) {
+      throw Boom.notFound('Could not find admin area ' + id);
+    }
+    return rows[0].geo;
+  });
+}
+
+function parseDate(dateString) {
+  var date = new Date(dateString);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  /**
+   * @api {get} /changesets Query changesets
+   * @apiGroup Changeset
+   * @apiName GetChangesets
+   * @apiDescription Returns the most recent changesets that match all of the
+   * given filters, with their bounding box, number of changes and tags.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {String} [user] ID or name of the user that made the changesets.
+   * @apiParam {Number[4]} [bbox] [min_lon, min_lat, max_lon, max_lat].
+   * Changesets whose bounding box intersects this one.
+   * @apiParam {Number} [admin] ID of an admin area. Changesets whose bounding
+   * box intersects the bounding box of this area. With `bbox`, changesets
+   * whose bounding box intersects the part of `bbox` that is in the area.
+   * @apiParam {String} [time] `T1` for changesets closed after `T1`, or
+   * `T1,T2` for changesets closed after `T1` and created before `T2`.
+   * @apiParam {Boolean} [open] Only changesets that are still open.
+   * @apiParam {Boolean} [closed] Only changesets that are closed.
+   * @apiParam {Number} [limit=100] Maximum number of changesets to return.
+   *
+   * @apiSuccess {Object[]} changesets List of changesets
+   * @apiSuccess {String} changesets.id Changeset ID.
+   * @apiSuccess {String} changesets.user_id Changeset User ID.
+   * @apiSuccess {String} changesets.user Changeset User name.
+   * @apiSuccess {Date} changesets.created_at Changeset Date of creation.
+   * @apiSuccess {Date} changesets.closed_at Date at which the changeset closed,
+   * or will close if it's still open.
+   * @apiSuccess {Boolean} changesets.open Whether the changeset is open.
+   * @apiSuccess {Number[4]} changesets.bbox Bounding box of the edits, in
+   * degrees, or null if nothing was uploaded.
+   * @apiSuccess {Number} changesets.num_changes Number of edits in this changeset.
+   * @apiSuccess {Object} changesets.tags Changeset tags.
+   *
+   * @apiError (400) BadRequest A filter is not valid.
+   * @apiError (404) NotFound There is no admin area with the given ID.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl 'http://localhost:4000/changesets?admin=13590000000&time=2015-04-01'
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *  [
+   *    {
+   *      "id": "1194",
+   *      "user_id": "99",
+   *      "user": "openroads",
+   *      "created_at": "2015-04-21T18:40:12.000Z",
+   *      "closed_at": "2015-04-21T19:44:51.858Z",
+   *      "open": false,
+   *      "bbox": [123.9780018, 9.7923478, 123.9813092, 9.7961541],
+   *      "num_changes": 12,
+   *      "tags": {
+   *        "comment": "Road conditions in Dao"
+   *      }
+   *    }
+   *  ]
+   */
+  method: 'GET',
+  path: '/changesets',
+  handler: function (req, res) {
+    var query = req.query;
+    var filters = {};
+
+    if (query.user) {
+      if (isNaN(query.user)) {
+        filters.displayName = query.user;
+      }
+      else {
+        filters.uid = parseInt(query.user, 10);
+      }
+    }
+
+    if (query.bbox) {
+      filters.bbox = parseBbox(query.bbox);
+      if (!filters.bbox) {
+        return res(Boom.badRequest('Latitude/longitude bounds must be valid coordinates.'));
+      }
+    }
+
+    if (query.time) {
+      var times = query.time.split(',');
+      filters.from = parseDate(times[0]);
+      filters.to = times.length > 1 ? parseDate(times[1]) : undefined;
+      if (!filters.from || filters.to === null) {
+        return res(Boom.badRequest('Time must be one or two comma-separated dates.'));
+      }
+    }
+
+    var open = isSet(query, 'open');
+    var closed = isSet(query, 'closed');
+    if (open && closed) {
+      return res(Boom.badRequest('Changesets can not be both open and closed.'));
+    }
+    if (open) {
+      filters.open = true;
+    }
+    else if (closed) {
+      filters.open = false;
+    }
+
+    if (query.limit) {
+      filters.limit = parseInt(query.limit, 10);
+      if (isNaN(filters.limit) || filters.limit < 1) {
+        return res(Boom.badRequest('Limit must be a positive number.'));
+      }
+    }
+
+    if (query.admin && isNaN(query.admin)) {
+      return res(Boom.badRequest('Admin area ID must be a number.'));
+    }
+    var boundary = query.admin ? adminBoundary(+query.admin) : null;
+
+    Promise.resolve(boundary)
+    .then(function (boundary) {
+      if (boundary) {
+        var bounds = extent(boundary);
+        var area = {
+          minLon: bounds[0],
+          minLat: bounds[1],
+          maxLon: bounds[2],
+          maxLat: bounds[3]
+        };
+        filters.bbox = filters.bbox ? intersect(filters.bbox, area) : area;
+        if (!filters.bbox) {
+          return [];
+        }
+      }
+      return queryChangesets(knex, filters);
+    })
+    .then(function (changesets) {
+      res(changesets);
+    })
+    .catch(function (err) {
+      console.log(err);
+      res(Boom.wrap(err));
+    });
+  }
+};
@@ -0,0 +1,95 @@
+'use strict';
+var Boom = require('boom');
+
+var knex = require('../connection.js');
+var geojsonToChange = require('../services/geojson-to-change.js');
+var uploadToNewChangeset = require('../services/new-changeset.js');
+var upload = require('./changeset-upload').handler;
+
+function geojsonUpload(req, res) {
+  geojsonToChange(knex, req.payload)
+  .then(function(change) {
+    var uploadParams = {
+      headers: req.headers,
+      query: req.query,
+      params: {
+        changesetID: req.params.changesetID
+      },
+      payload: {
+        osmChange: change
+      }
+    };
+    if (req.params.changesetID) {
+      return upload(uploadParams, res);
+    }
+    return uploadToNewChangeset(upload, uploadParams, res);
+  })
+  .catch(function(err) {
+    console.log(err);
+    res(Boom.wrap(err));
+  });
+}
+
+module.exports = {
+  /**
+   * @api {POST} /upload/geojson/[changesetId] GeoJSON Upload
+   * @apiGroup Changeset
+   * @apiName UploadGeoJSON
+   * @apiDescription Create roads from a GeoJSON Feature or FeatureCollection,
+   * and upload them to a given changeset, or to a new one. Return the
+   * changeset and the ids of the created nodes and ways, like
+   * `/changeset/:id/upload`.
+   *
+   * Every LineString, or part of a MultiLineString, becomes a way, and every
+   * Point or part of a MultiPoint becomes a node. Feature properties become
+   * tags. Lines that share a coordinate share the node at that coordinate,
+   * and lines that end where an existing node is are connected to it.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} [changesetID] Changeset ID. Without it, a changeset is
+   * opened for the upload, and removed after a dry run or if the upload
+   * fails.
+   * @apiParam {Object} geojson GeoJSON Feature or FeatureCollection
+   *
+   * @apiError (400) BadRequest The GeoJSON is not a Feature or a
+   * FeatureCollection of points and lines with valid coordinates.
+   *
+   * @apiExample {curl} Example Usage:
+   *  curl -H 'Content-Type: application/json' -d @roads.geojson http://localhost:4000/upload/geojson
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *  "changeset":
+   *    {
+   *     "id":"1",
+   *     "user_id":"99",
+   *     "created_at":"2015-03-13T03:51:39.000Z",
+   *     "min_lat":97923478,
+   *     "max_lat":97961541,
+   *     "min_lon":1239780018,
+   *     "max_lon":1239813092,
+   *     "closed_at":"2015-04-21T18:44:51.858Z",
+   *     "num_changes":3
+   *     },
+   *  "created":
+   *    {
+   *     "node":{
+   *       "-1":"743049",
+   *       "-2":"743050"
+   *       },
+   *     "way":{
+   *       "-1":"168483"
+   *       },
+   *     "relation":{}
+   *     }
+   *   }
+   */
+  method: 'POST',
+  path: '/upload/geojson/{changesetID?}',
+  config: {
+    payload: {
+      maxBytes: 64 * 1024 * 1024
+    }
+  },
+  handler: geojsonUpload
+};
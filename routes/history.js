@@ -0,0 +1,182 @@
+'use strict';
+var Boom = require('boom');
+
+var knex = require('../connection.js');
+var entityHistory = require('../services/query-history.js').entityHistory;
+var XML = require('../services/xml.js');
+
+// Keys used by XML.write for each entity type.
+var writeKeys = {
+  node: 'nodes',
+  way: 'ways',
+  relation: 'relations'
+};
+
+function serveHistory(type) {
+  return function(req, res) {
+    var id = parseInt(req.params.id || '', 10);
+    if (!id || isNaN(id)) {
+      return res(Boom.badRequest('ID must be a non-zero number'));
+    }
+
+    entityHistory(knex, type, id)
+    .then(function (entities) {
+      if (!entities.length) {
+        throw Boom.notFound('Could not find ' + type + ' ' + id);
+      }
+      var obj = {};
+      obj[writeKeys[type]] = entities;
+      var response = res(XML.write(obj).toString());
+      response.type('text/xml');
+    })
+    .catch(function (err) {
+      console.log(err);
+      res(Boom.wrap(err));
+    });
+  };
+}
+
+module.exports = [
+  /**
+   * @api {get} /xml/node/:id/history Get the history of a node
+   * @apiGroup Features
+   * @apiName XmlNodeHistory
+   * @apiDescription Returns OSM XML of every version of the requested node,
+   * oldest first, including deleted versions. Each version carries the
+   * changeset and the user that made it.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} id Node ID.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/node/74038/history
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="DevelopmentSeed">
+   *    <node id="74038" visible="true" version="1" changeset="1"
+   *      timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)"
+   *      user="openroads" uid="99" lat="9.5820416" lon="123.8162931"/>
+   *    <node id="74038" visible="true" version="2" changeset="12"
+   *      timestamp="Tue Apr 21 2015 18:44:51 GMT+0000 (UTC)"
+   *      user="openroads" uid="99" lat="9.5820419" lon="123.8162931">
+   *      <tag k="bridge" v="yes"/>
+   *    </node>
+   *  </osm>
+   */
+  {
+    method: 'GET',
+    path: '/xml/node/{id}/history',
+    handler: serveHistory('node')
+  },
+  /**
+   * @api {get} /xml/way/:id/history Get the history of a way
+   * @apiGroup Features
+   * @apiName XmlWayHistory
+   * @apiDescription Returns OSM XML of every version of the requested way,
+   * oldest first, with the node references and tags of each version.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} id Way ID.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/way/26/history
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="DevelopmentSeed">
+   *    <way id="26" visible="true" version="1" changeset="1"
+   *      timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)"
+   *      user="openroads" uid="99">
+   *      <nd ref="27"/>
+   *      <nd ref="28"/>
+   *      <tag k="or_condition" v="good"/>
+   *    </way>
+   *    <way id="26" visible="true" version="2" changeset="12"
+   *      timestamp="Tue Apr 21 2015 18:44:51 GMT+0000 (UTC)"
+   *      user="openroads" uid="99">
+   *      <nd ref="27"/>
+   *      <nd ref="28"/>
+   *      <tag k="or_condition" v="poor"/>
+   *    </way>
+   *  </osm>
+   */
+  {
+    method: 'GET',
+    path: '/xml/way/{id}/history',
+    handler: serveHistory('way')
+  },
+  /**
+   * @api {get} /xml/relation/:id/history Get the history of a relation
+   * @apiGroup Features
+   * @apiName XmlRelationHistory
+   * @apiDescription Returns OSM XML of every version of the requested
+   * relation, oldest first, with the members and tags of each version.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} id Relation ID.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/relation/260/history
+   */
+  {
+    method: 'GET',
+    path: '/xml/relation/{id}/history',
+    handler: serveHistory('relation')
+  },
+  /**
+   * @api {get} /xml/:type/:id/:version Get a version of an entity
+   * @apiGroup Features
+   * @apiName XmlEntityVersion
+   * @apiDescription Returns OSM XML of a single version of a node, way or
+   * relation.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {String} type One of `node`, `way` or `relation`.
+   * @apiParam {Number} id Entity ID.
+   * @apiParam {Number} version Entity version.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/way/26/1
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="DevelopmentSeed">
+   *    <way id="26" visible="true" version="1" changeset="1"
+   *      timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)"
+   *      user="openroads" uid="99">
+   *      <nd ref="27"/>
+   *      <nd ref="28"/>
+   *      <tag k="or_condition" v="good"/>
+   *    </way>
+   *  </osm>
+   */
+  {
+    method: 'GET',
+    path: '/xml/{type}/{id}/{version}',
+    handler: function (req, res) {
+      var type = req.params.type;
+      if (!writeKeys.hasOwnProperty(type)) {
+        return res(Boom.notFound());
+      }
+      var id = parseInt(req.params.id || '', 10);
+      var version = parseInt(req.params.version || '', 10);
+      if (!id || isNaN(id) || !version || isNaN(version)) {
+        return res(Boom.badRequest('ID and version must be non-zero numbers'));
+      }
+
+      entityHistory(knex, type, id, version)
+      .then(function (entities) {
+        if (!entities.length) {
+          throw Boom.notFound('Could not find version ' + version + ' of ' +
+            type + ' ' + id);
+        }
+        var obj = {};
+        obj[writeKeys[type]] = entities;
+        var response = res(XML.write(obj).toString());
+        response.type('text/xml');
+      })
+      .catch(function (err) {
+        console.log(err);
+        res(Boom.wrap(err));
+      });
+    }
+  }
+];
@@ -0,0 +1,116 @@
+'use strict';
+var Boom = require('boom');
+
+var imports = require('../services/imports.js');
+
+module.exports = [
+  {
+    /**
+     * @api {POST} /imports Queue a bulk import
+     * @apiGroup Changeset
+     * @apiName CreateImport
+     * @apiDescription Store an osmChange file and import it in the
+     * background, in the same way as `/upload`. Imports run one at a time,
+     * in the order they were queued. Use `/imports/:id` to follow the
+     * progress of the import.
+     *
+     * Jobs are kept in memory: if the server restarts, queued and running
+     * imports are lost, and the transaction of a running import is rolled
+     * back.
+     * @apiVersion 0.1.0
+     *
+     * @apiParam {Number} [changeset] ID of an open changeset to import the
+     * file to. A new changeset is opened if there is none.
+     * @apiParam {File} file OSM XML File
+     *
+     * @apiSuccess {Number} id Import ID
+     * @apiSuccess {String} status `queued`
+     *
+     * @apiExample {curl} Example Usage:
+     *  curl -d @province.osc http://localhost:4000/imports
+     *
+     * @apiSuccessExample {json} Success-Response:
+     *  HTTP/1.1 202 Accepted
+     *  {"id":4,"status":"queued","changeset":null,"created_at":"2015-04-21T18:44:51.858Z", ...}
+     */
+    method: 'POST',
+    path: '/imports',
+    config: {
+      payload: {
+        output: 'file',
+        parse: false,
+        maxBytes: 512 * 1024 * 1024
+      }
+    },
+    handler: function (req, res) {
+      var changesetID = req.query.changeset;
+      if (changesetID !== undefined && (isNaN(changesetID) || !parseInt(changesetID, 10))) {
+        return res(Boom.badRequest('Changeset ID must be a non-zero number'));
+      }
+      if (!req.payload || !req.payload.path) {
+        return res(Boom.badRequest('An osmChange file is required'));
+      }
+
+      var job = imports.add(req.payload.path, changesetID && parseInt(changesetID, 10));
+      return res(job).code(202);
+    }
+  },
+  {
+    /**
+     * @api {get} /imports/:id Get a bulk import
+     * @apiGroup Changeset
+     * @apiName GetImport
+     * @apiDescription Returns the status and progress of an import. The file
+     * is parsed and saved in batches, and each phase of the import is timed
+     * across batches: parsing the file, then each phase of the upload, in
+     * seconds.
+     * @apiVersion 0.1.0
+     *
+     * @apiParam {Number} id Import ID
+     *
+     * @apiSuccess {Number} id Import ID
+     * @apiSuccess {String} status `queued`, `running`, `done` or `failed`.
+     * @apiSuccess {Number} changeset ID of the changeset the file is
+     * imported to, once it is known.
+     * @apiSuccess {Date} created_at Time at which the import was queued.
+     * @apiSuccess {Date} started_at Time at which the import started.
+     * @apiSuccess {Date} finished_at Time at which the import finished.
+     * @apiSuccess {Number} progress Share of the file that was read and saved,
+     * from 0 to 1.
+     * @apiSuccess {String} phase Phase that is running.
+     * @apiSuccess {Object} timings Seconds taken by each completed phase.
+     * @apiSuccess {Object} result Response of the upload, once it is done.
+     * @apiSuccess {Object[]} errors Errors that made the import fail.
+     *
+     * @apiError (404) NotFound There is no such import, or it finished more
+     * than a day ago. Only the last 100 finished imports are kept.
+     *
+     * @apiExample {curl} Example Usage:
+     *  curl http://localhost:4000/imports/4
+     *
+     * @apiSuccessExample {json} Success-Response:
+     *  {
+     *    "id": 4,
+     *    "status": "running",
+     *    "changeset": 1194,
+     *    "created_at": "2015-04-21T18:44:51.858Z",
+     *    "started_at": "2015-04-21T18:44:51.860Z",
+     *    "finished_at": null,
+     *    "progress": 0.375,
+     *    "phase": "ways",
+     *    "timings": {"parse": 4.2, "versions": 0.01, "references": 0.02},
+     *    "result": null,
+     *    "errors": []
+     *  }
+     */
+    method: 'GET',
+    path: '/imports/{id}',
+    handler: function (req, res) {
+      var job = imports.get(parseInt(req.params.id, 10));
+      if (!job) {
+        return res(Boom.notFound('Could not find import ' + req.params.id));
+      }
+      return res(job);
+    }
+  }
+];
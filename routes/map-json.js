@@ -4,6 +4,7 @@ var Boom = require('boom');
 var knex = require('../connection.js');
 var toGeoJSON = require('../services/osm-data-to-geojson.js');
 var queryBbox = require('../services/query-bbox.js');
+var roadLength = require('../services/road-length.js');
 var BoundingBox = require('../services/bounding-box.js');
 var log = require('../services/log.js');
 
@@ -16,7 +17,10 @@ module.exports = {
    * 
    * @apiParam {Number[4]} bbox [min_lon, min_lat, max_lon, max_lat]
    * 
-   * @apiSuccess {GeoJSON} FeatureCollection List of OSM Roads
+   * @apiSuccess {GeoJSON} FeatureCollection List of OSM Roads, as
+   * LineStrings, and of the tagged nodes in the bounding box that are not on
+   * a road, such as bridges or kilometer posts, as Points. Roads have their
+   * geodesic length in kilometers as `length_km`.
    *
    * @apiExample {curl} Example Usage: 
    *    curl http://localhost:4000/map?bbox=123.81042480468751,9.584500864717155,123.81591796875,9.58991730708743
@@ -35,7 +39,8 @@ module.exports = {
    *          "name": "TINAGO_DAO ROAD",
    *          "or_mun": "Dauis",
    *          "rd_cond": "poor",
-   *          "source": "OpenRoads"
+   *          "source": "OpenRoads",
+   *          "length_km": 1.247
    *         },
    *        "geometry": {
    *          "type": "LineString",
@@ -60,7 +65,9 @@ module.exports = {
 
     queryBbox(knex, bbox)
     .then(function (result) {
-      res(toGeoJSON(result));
+      var geoJSON = toGeoJSON(result);
+      roadLength.addLengths(geoJSON);
+      res(geoJSON);
     })
     .catch(function (err) {
       console.log(err);
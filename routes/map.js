@@ -4,7 +4,6 @@ var Boom = require('boom');
 var knex = require('../connection.js');
 var queryBbox = require('../services/query-bbox.js');
 var XML = require('../services/xml.js');
-var Node = require('../models/node-model.js');
 var BoundingBox = require('../services/bounding-box.js');
 
 module.exports = {
@@ -13,7 +12,10 @@ module.exports = {
    * @apiGroup bbox
    * @apiName XmlMap
    * @apiDescription Returns an OSM XML list of entities within the 
-   * provided bounding box
+   * provided bounding box, like the OSM map call: every node in the
+   * bounding box, every way that uses one of them with all of its nodes,
+   * and every relation that has one of those nodes or ways, or one of
+   * those relations, as a member.
    * @apiVersion 0.1.0
    *
    * @apiParam {Number[4]} bbox [min_lon, min_lat, max_lon, max_lat]
@@ -22,7 +24,7 @@ module.exports = {
    *    curl http://localhost:4000/xml/map?bbox=123.81042480468751,9.584500864717155,123.81591796875,9.58991730708743
    *  
    * @apiSuccessExample {xml} Success-Response:
-   *  <osm version="6" generator="OpenRoads">
+   *  <osm version="0.6" generator="OpenRoads">
    *  <bounds minlat="9.584500864717155" minlon="123.81042480468" maxlat="9.58991730708" maxlon="123.81591796875"/>
    *    <node id="74038" changeset="1" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000" lat="9.5820416" lon="123.81629"/>
    *    <node id="77930" changeset="1" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000" lat="9.5920337" lon="123.81491"/>
@@ -52,8 +54,8 @@ module.exports = {
     .then(function (result) {
       var xmlDoc = XML.write({
         bbox: bbox,
-        nodes: Node.withTags(result.nodes, result.nodetags, 'node_id'),
-        ways: Node.withTags(result.ways, result.waytags, 'way_id'),
+        nodes: result.nodes,
+        ways: result.ways,
         relations: result.relations
       });
       var response = res(xmlDoc.toString());
@@ -1,6 +1,7 @@
 'use strict';
 const Boom = require('boom');
 const knex = require('../connection');
+const tagSchema = require('../services/tag-schema');
 
 module.exports = [
  /**
@@ -36,4 +37,41 @@ module.exports = [
         return res(Boom.wrap(err));
       });
     }
+  },
+  /**
+   * @api {get} /meta/tags Get the tag schema.
+   * @apiGroup Meta
+   * @apiName GetTagSchema
+   * @apiDescription This endpoint returns the tag schema that uploads are
+   * checked against, so editors can offer the same keys and values.
+   * @apiVersion 0.1.0
+   *
+   * @apiSuccess {Object} keys Keys that roads can have. If a key has
+   * `values`, only those are accepted.
+   * @apiSuccess {Object} highway Accepted highway classes, with the keys
+   * that each requires.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/meta/tags
+   *
+   * @apiSuccessExample {json}
+   * {
+   *   "keys": {
+   *     "highway": {},
+   *     "or_responsibility": {
+   *       "values": ["national", "provincial", "municipal", "city", "barangay", "fmr", "private"]
+   *     }
+   *   },
+   *   "highway": {
+   *     "primary": { "required": ["or_responsibility", "surface", "or_condition"] },
+   *     "track": { "required": [] }
+   *   }
+   * }
+   */
+  {
+    method: 'GET',
+    path: '/meta/tags',
+    handler: function handler (req, res) {
+      return res(tagSchema);
+    }
 }];
@@ -1,11 +1,9 @@
 'use strict';
 var Boom = require('boom');
 
-var _ = require('lodash');
 var inside = require('turf-inside');
 var buffer = require('turf-buffer');
 var point = require('turf-point');
-var polyDistance = require('../services/polygon-distance.js');
 var queryMPAs = require('../services/query-mpas.js');
 var coordsFromString = require('../services/coords.js').fromString;
 
@@ -216,34 +214,14 @@ module.exports = [
       if (!coords) {
         return res(Boom.badRequest('Bad coordinates format. Use lng,lat'));
       }
-      var coordsPoint = point(coords);
 
       var limit = parseFloat(req.query.limit);
       if (isNaN(limit) || limit <= 0) {
         limit = null;
       }
 
-      queryMPAs.getMpas()
+      queryMPAs.getMpasNear(coords, limit)
       .then(function (geoJSON) {
-        var f = _.chain(geoJSON.features)
-          .map(function (o) {
-            // When inside the distance becomes 0.
-            if (inside(coordsPoint, o)) {
-              o.properties.distance = 0;
-            } else {
-              o.properties.distance = polyDistance(o, coordsPoint);
-            }
-            return o;
-          })
-          .sortBy(function (o) {
-            return o.properties.distance;
-          });
-
-        if (limit !== null) {
-          f = f.take(limit);
-        }
-
-        geoJSON.features = f.value();
         return res(geoJSON);
       })
       .catch(function (err) {
@@ -325,21 +303,14 @@ module.exports = [
       if (!coords) {
         return res(Boom.badRequest('Bad coordinates format. Use lng,lat'));
       }
-      var coordsPoint = point(coords);
 
       var radius = parseFloat(req.query.radius);
       if (isNaN(radius) || radius <= 0) {
         radius = null;
       }
 
-      queryMPAs.getMpas()
+      queryMPAs.getMpasContaining(coords, radius)
       .then(function (geoJSON) {
-        geoJSON.features = _.filter(geoJSON.features, function (f) {
-          // Buffer if radius is set.
-          f = radius ? buffer(f, radius, 'kilometers') : f;
-          return inside(coordsPoint, f);
-        });
-
         return res(geoJSON);
       })
       .catch(function (err) {
@@ -0,0 +1,175 @@
+'use strict';
+var _ = require('lodash');
+var Boom = require('boom');
+var Promise = require('bluebird');
+
+var knex = require('../connection.js');
+var Node = require('../models/node-model.js');
+var queryRelations = require('../services/query-relations.js');
+var queryWays = require('../services/query-ways.js');
+var XML = require('../services/xml.js');
+
+// Read a comma-separated list of ids from the query.
+// Returns null if it's missing or if an id isn't a positive number.
+function parseIds(query, name) {
+  var param = query[name];
+  if (!param) {
+    return null;
+  }
+  var ids = String(param).split(',').map(function (id) {
+    return /^\d+$/.test(id) ? parseInt(id, 10) : NaN;
+  });
+  if (_.some(ids, function (id) { return !id; })) {
+    return null;
+  }
+  return _.uniq(ids);
+}
+
+/*
+ * Make a handler that serves the entities of the given type whose ids are
+ * listed in the query parameter of the same name, like the OSM API does:
+ * deleted entities are included with visible="false", and if an id can't
+ * be found, it's a 404.
+ *
+ * `fetch` is called with the ids, and resolves with the object to pass to
+ * XML.write.
+ */
+function multiFetch(type, fetch) {
+  var param = type + 's';
+  return function (req, res) {
+    var ids = parseIds(req.query, param);
+    if (!ids) {
+      return res(Boom.badRequest('The parameter ' + param +
+        ' is required, and must be a comma-separated list of ids'));
+    }
+
+    fetch(ids)
+    .then(function (entities) {
+      var found = _.pluck(entities[param], 'id').map(Number);
+      var missing = _.difference(ids, found);
+      if (missing.length) {
+        throw Boom.notFound('Could not find ' + type + ' ' + missing.join(', '));
+      }
+      var response = res(XML.write(entities).toString());
+      response.type('text/xml');
+    })
+    .catch(function (err) {
+      console.log(err);
+      res(Boom.wrap(err));
+    });
+  };
+}
+
+module.exports = [
+  /**
+   * @api {get} /xml/nodes?nodes=:ids Get nodes by IDs
+   * @apiGroup Features
+   * @apiName XmlNodes
+   * @apiDescription Returns OSM XML of the requested Nodes. Deleted nodes
+   * are included, with `visible="false"`.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {String} nodes Comma-separated list of node IDs.
+   *
+   * @apiError (400) BadRequest The `nodes` parameter is missing, or is not a
+   * list of IDs.
+   * @apiError (404) NotFound One of the nodes does not exist.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/nodes?nodes=27,28
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="OpenRoads">
+   *    <node id="27" visible="true" version="1" changeset="0" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)" user="OpenRoads" uid="1" lat="9.787903" lon="123.939617"/>
+   *    <node id="28" visible="true" version="1" changeset="0" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)" user="OpenRoads" uid="1" lat="9.788083" lon="123.939679"/>
+   *  </osm>
+   */
+  {
+    method: 'GET',
+    path: '/xml/nodes',
+    handler: multiFetch('node', function (ids) {
+      return Promise.all([
+        knex('current_nodes').whereIn('id', ids),
+        knex('current_node_tags').whereIn('node_id', ids)
+      ])
+      .then(function (result) {
+        return { nodes: Node.withTags(result[0], result[1], 'node_id') };
+      });
+    })
+  },
+  /**
+   * @api {get} /xml/ways?ways=:ids Get ways by IDs
+   * @apiGroup Features
+   * @apiName XmlWays
+   * @apiDescription Returns OSM XML of the requested Ways, without the
+   * nodes they refer to. Deleted ways are included, with `visible="false"`.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {String} ways Comma-separated list of way IDs.
+   *
+   * @apiError (400) BadRequest The `ways` parameter is missing, or is not a
+   * list of IDs.
+   * @apiError (404) NotFound One of the ways does not exist.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/ways?ways=26,31
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="OpenRoads">
+   *    <way id="26" visible="true" version="1" changeset="0" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)" user="OpenRoads" uid="1">
+   *      <nd ref="27"/>
+   *      <nd ref="28"/>
+   *      <tag k="highway" v="unclassified"/>
+   *    </way>
+   *    <way id="31" visible="true" version="1" changeset="0" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)" user="OpenRoads" uid="1">
+   *      <nd ref="28"/>
+   *      <nd ref="32"/>
+   *    </way>
+   *  </osm>
+   */
+  {
+    method: 'GET',
+    path: '/xml/ways',
+    handler: multiFetch('way', function (ids) {
+      return queryWays(knex, ids).then(function (result) {
+        return { ways: result.ways };
+      });
+    })
+  },
+  /**
+   * @api {get} /xml/relations?relations=:ids Get relations by IDs
+   * @apiGroup Features
+   * @apiName XmlRelations
+   * @apiDescription Returns OSM XML of the requested Relations, without the
+   * members they refer to. Deleted relations are included, with
+   * `visible="false"`.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {String} relations Comma-separated list of relation IDs.
+   *
+   * @apiError (400) BadRequest The `relations` parameter is missing, or is
+   * not a list of IDs.
+   * @apiError (404) NotFound One of the relations does not exist.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/relations?relations=260
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="OpenRoads">
+   *    <relation id="260" visible="true" version="1" changeset="1" timestamp="Tue Apr 21 2015 17:31:51 GMT+0000 (UTC)" user="DevelopmentSeed" uid="1">
+   *      <member type="node" ref="698236" role=""/>
+   *      <member type="way" ref="168329" role=""/>
+   *      <tag k="test" v="relation_endpoint"/>
+   *    </relation>
+   *  </osm>
+   */
+  {
+    method: 'GET',
+    path: '/xml/relations',
+    handler: multiFetch('relation', function (ids) {
+      return queryRelations(knex, ids, true).then(function (relations) {
+        return { relations: relations };
+      });
+    })
+  }
+];
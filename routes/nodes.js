@@ -4,9 +4,11 @@ var Promise = require('bluebird');
 
 var knex = require('../connection.js');
 var XML = require('../services/xml.js');
+var OsmJSON = require('../services/osm-json.js');
+var toGeoJSON = require('../services/osm-data-to-geojson.js');
 var Node = require('../models/node-model.js');
 
-module.exports = {
+module.exports = [{
   /**
    * @api {get} /xml/node/:id Get node by Id
    * @apiGroup Features
@@ -31,7 +33,7 @@ module.exports = {
    *    curl http://localhost:4000/xml/node/74038
    *  
    * @apiSuccessExample {xml} Success-Response:
-   *  <osm version="6" generator="OpenRoads">
+   *  <osm version="0.6" generator="OpenRoads">
    *    <node id="74038" visible="true" 
    *      version="1" changeset="0" 
    *      timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)" 
@@ -63,4 +65,76 @@ module.exports = {
       res(Boom.wrap(err));
     });
   }
-};
+},
+{
+  /**
+   * @api {get} /node/:id Get node by Id as JSON
+   * @apiGroup Features
+   * @apiName Node
+   * @apiDescription Returns the requested Node as JSON, or as a GeoJSON
+   * FeatureCollection with a Point feature.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} nodeId Node ID.
+   * @apiParam {String} [format] `geojson` to get GeoJSON.
+   *
+   * @apiSuccess {String} type `node`
+   * @apiSuccess {Number} id Entity ID
+   * @apiSuccess {Boolean} visible Whether entity can be rendered
+   * @apiSuccess {Number} version Number of edits made to this entity
+   * @apiSuccess {Number} changeset Most recent changeset
+   * @apiSuccess {String} timestamp Most recent edit
+   * @apiSuccess {Object} tags Tags, as an object of keys and values
+   * @apiSuccess {Number} lat Entity latitude
+   * @apiSuccess {Number} lon Entity longitude
+   *
+   * @apiError (404) NotFound The node does not exist.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/node/74038
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "type": "node",
+   *    "id": 74038,
+   *    "visible": true,
+   *    "version": 1,
+   *    "changeset": 0,
+   *    "timestamp": "2015-03-11T09:38:41.000Z",
+   *    "tags": {},
+   *    "lat": 9.5820416,
+   *    "lon": 123.8162931
+   *  }
+   */
+  method: 'GET',
+  path: '/node/{nodeId}',
+  handler: function (req, res) {
+    var nodeId = parseInt(req.params.nodeId || '', 10);
+    if (!nodeId || isNaN(nodeId)) {
+      return res(Boom.badRequest('Node ID must be a non-zero number'));
+    }
+    var format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'geojson') {
+      return res(Boom.badRequest('Format must be json or geojson'));
+    }
+
+    Promise.all([
+      knex('current_nodes').where('id', nodeId),
+      knex('current_node_tags').where('node_id', nodeId)
+    ])
+    .then(function (result) {
+      if (result[0].length === 0) {
+        throw Boom.notFound('Node ' + nodeId + ' not found');
+      }
+      var node = Node.withTags(result[0], result[1], 'node_id')[0];
+      if (format === 'geojson') {
+        return res(toGeoJSON({ nodes: [], ways: [], points: [node] }));
+      }
+      res(OsmJSON.node(node));
+    })
+    .catch(function (err) {
+      console.log(err);
+      res(Boom.wrap(err));
+    });
+  }
+}];
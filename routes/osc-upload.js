@@ -1,6 +1,6 @@
 'use strict';
-var XML = require('../services/xml');
-var create = require('./changeset-create').handler;
+var readStream = require('../services/xml-stream.js');
+var uploadToNewChangeset = require('../services/new-changeset.js');
 var upload = require('./changeset-upload').handler;
 var Boom = require('boom');
 /*
@@ -9,33 +9,28 @@ var Boom = require('boom');
 */
 
 function oscUpload(req, res) {
-  try {
-    var json = XML.read(req.payload.toString());
-  } catch(e) {
-    if (e) {
-      return res(Boom.badRequest('Could not parse XML file'));
-    }
-  }
+  // The file is read and saved in batches as it comes in,
+  // so large files don't have to fit in memory.
+  var read = function(save) {
+    return readStream(req.payload, save);
+  };
   var uploadParams = {
+    headers: req.headers,
+    query: req.query,
     params: {
       changesetID: req.params.changesetID
     },
     payload: {
-      osmChange: json
+      osmChange: read
     }
   };
   if (!req.params.changesetID) {
-    create({payload: {uid: 99, user: 'openroads'}},
-      function(fromCreate) {
-        if (fromCreate.isBoom) {
+    uploadToNewChangeset(upload, uploadParams, res)
+    .catch(function(err) {
 
-          //Couldn't create a changeset
-          res(fromCreate);
-        } else {
-          uploadParams.params.changesetID = parseInt(fromCreate.id, 10);
-          upload(uploadParams, res);
-        }
-      });
+      //Couldn't create a changeset
+      res(Boom.wrap(err));
+    });
   } else {
     upload(uploadParams, res);
   }
@@ -49,10 +44,24 @@ module.exports = {
    * @apiDescription Upload OSM Changeset Data to a given changeset.
    * Return the changeset and a bounding box that covers the location of its
    * edits.
+   *
+   * The file is an osmChange document with nodes, ways and relations.
+   * Negative ids are placeholders for the entities created in the same file,
+   * and can be used in way nodes and relation members. An OSM XML document
+   * can be sent too, in which case everything in it is created.
+   *
+   * The file is parsed and saved in batches while it is received, in a
+   * single transaction, so large files don't have to fit in memory.
    * @apiVersion 0.1.0
    * 
    * @apiParam {Number} [changesetID] Changeset ID
    * @apiParam  {File} file OSM XML File
+   * @apiParam {Boolean} [dryRun=false] Check that the file can be uploaded
+   * without saving anything, see `/changeset/:id/upload`. Without a
+   * changeset ID, the changeset opened for the upload is removed after a dry
+   * run, or if the upload fails.
+   * @apiParam {Boolean} [strictTags=false] Reject the file if the tags of a
+   * road don't follow the tag schema, see `/changeset/:id/upload`.
    *
    * @apiSuccess {Object} changeset Changeset object
    * @apiSuccess {String} changeset.id Changeset ID.
@@ -62,7 +71,8 @@ module.exports = {
    * @apiSuccess {Number} changeset.max_lat Max Latitude of bounding box. 
    * @apiSuccess {Number} changeset.min_lon Min Longitude of bounding box. 
    * @apiSuccess {Number} changeset.max_lon Max Longitude of bounding box. 
-   * @apiSuccess {Date} changeset.closed_at Changeset Date of creation.
+   * @apiSuccess {Date} changeset.closed_at Time at which the changeset closes
+   * if nothing else is uploaded.
    * @apiSuccess {number} changeset.num_changes Number of edits in this changeset.
    *
    * @apiExample {curl} Example Usage: 
@@ -87,6 +97,7 @@ module.exports = {
   path: '/upload/{changesetID?}',
   config: {
     payload: {
+      output: 'stream',
       parse: false
     }
   },
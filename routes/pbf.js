@@ -0,0 +1,115 @@
+'use strict';
+var Boom = require('boom');
+
+var knex = require('../connection.js');
+var Changeset = require('../models/changeset.js');
+var BoundingBox = require('../services/bounding-box.js');
+var PBF = require('../services/pbf.js');
+var queryBbox = require('../services/query-bbox.js');
+var upload = require('./changeset-upload').handler;
+
+module.exports = [
+  {
+    /**
+     * @api {get} /pbf/map OSM PBF - Get entities in bounding box
+     * @apiGroup bbox
+     * @apiName PbfMap
+     * @apiDescription Returns the same entities as `/xml/map`, as an OSM PBF
+     * file.
+     * @apiVersion 0.1.0
+     *
+     * @apiParam {Number[4]} bbox [min_lon, min_lat, max_lon, max_lat]
+     *
+     * @apiExample {curl} Example Usage:
+     *    curl -o map.osm.pbf http://localhost:4000/pbf/map?bbox=123.81042480468751,9.584500864717155,123.81591796875,9.58991730708743
+     */
+    method: 'GET',
+    path: '/pbf/map',
+    handler: function (req, res) {
+      // parse and validate bbox parameter from query
+      // See services/BoundingBox.js.
+      var paramString = req.query.bbox || '';
+      var bbox = new BoundingBox.fromCoordinates(paramString.split(','));
+      if (bbox.error) {
+        return res(Boom.badRequest(bbox.error));
+      }
+
+      queryBbox(knex, bbox)
+      .then(function (result) {
+        var buffer = PBF.write({
+          bbox: bbox,
+          nodes: result.nodes,
+          ways: result.ways,
+          relations: result.relations
+        });
+        var response = res(buffer);
+        response.type('application/x-protobuf');
+        response.header('Content-Disposition', 'attachment; filename="map.osm.pbf"');
+      })
+      .catch(function (err) {
+        res(Boom.wrap(err));
+      });
+    }
+  },
+  {
+    /**
+     * @api {POST} /upload/pbf/[changesetId] PBF Upload
+     * @apiGroup Changeset
+     * @apiName UploadPbf
+     * @apiDescription Create the entities of an OSM PBF file, in a given
+     * changeset or in a new one. Return the changeset and the ids of the
+     * created entities, like `/changeset/:id/upload`.
+     *
+     * Every entity in the file is created anew: the ids of the file are used
+     * as placeholder ids, and are mapped to new ids in the response, where
+     * they are negative. Ways and relations can only refer to entities in the
+     * same file. The file is saved block by block, in a single transaction.
+     * @apiVersion 0.1.0
+     *
+     * @apiParam {Number} [changesetID] Changeset ID
+     * @apiParam {File} file OSM PBF File
+     *
+     * @apiError (400) BadRequest The file can't be read, or needs features
+     * other than `OsmSchema-V0.6` and `DenseNodes`.
+     *
+     * @apiExample {curl} Example Usage:
+     *  curl --data-binary @province.osm.pbf -H 'Content-Type: application/octet-stream' http://localhost:4000/upload/pbf
+     */
+    method: 'POST',
+    path: '/upload/pbf/{changesetID?}',
+    config: {
+      payload: {
+        output: 'data',
+        parse: false,
+        maxBytes: 512 * 1024 * 1024
+      }
+    },
+    handler: function (req, res) {
+      var read = function(save) {
+        return PBF.read(req.payload, save);
+      };
+      var uploadParams = {
+        headers: req.headers,
+        query: req.query,
+        params: {
+          changesetID: req.params.changesetID
+        },
+        payload: {
+          osmChange: read
+        }
+      };
+      if (req.params.changesetID) {
+        return upload(uploadParams, res);
+      }
+      Changeset.create(99, 'openroads')
+      .then(function(id) {
+        uploadParams.params.changesetID = parseInt(id, 10);
+        upload(uploadParams, res);
+      })
+      .catch(function(err) {
+        console.log(err);
+        res(Boom.wrap(err));
+      });
+    }
+  }
+];
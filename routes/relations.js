@@ -1,8 +1,16 @@
 'use strict';
+var _ = require('lodash');
 var Boom = require('boom');
 var knex = require('../connection.js');
 var log = require('../services/log.js');
 var Promise = require('bluebird');
+var Node = require('../models/node-model.js');
+var OsmJSON = require('../services/osm-json.js');
+var queryParents = require('../services/query-parents.js');
+var queryRelations = require('../services/query-relations.js');
+var queryWays = require('../services/query-ways.js');
+var toGeoJSON = require('../services/osm-data-to-geojson.js');
+var XML = require('../services/xml.js');
 
 module.exports = [
   /**
@@ -60,19 +68,140 @@ module.exports = [
       if(!req.params.id)
         return res(Boom.badRequest('Valid relation id required.'));
 
-      queryRelations([req.params.id], true)
+      queryRelations(knex, [req.params.id], true)
       .then(res);
     }
   },
+  /**
+   * @api {get} /relation/:id Get relation by ID as JSON
+   * @apiGroup Features
+   * @apiName Relation
+   * @apiDescription Returns the requested Relation as JSON, with its
+   * members, or as a GeoJSON FeatureCollection of its member nodes and ways.
+   * The tags of the relation are the properties of the FeatureCollection.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} id Relation ID.
+   * @apiParam {String} [format] `geojson` to get GeoJSON.
+   *
+   * @apiSuccess {String} type `relation`
+   * @apiSuccess {Number} id Entity ID
+   * @apiSuccess {Boolean} visible Whether entity can be rendered
+   * @apiSuccess {Number} version Number of edits made to this entity
+   * @apiSuccess {Number} changeset Most recent changeset
+   * @apiSuccess {String} timestamp Most recent edit
+   * @apiSuccess {Object} tags Tags, as an object of keys and values
+   * @apiSuccess {Object[]} members Members of the relation, in order
+   * @apiSuccess {String} members.type `node`, `way` or `relation`
+   * @apiSuccess {Number} members.ref ID of the member
+   * @apiSuccess {String} members.role Role of the member
+   *
+   * @apiError (404) NotFound The relation does not exist.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/relation/260
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "type": "relation",
+   *    "id": 260,
+   *    "visible": true,
+   *    "version": 1,
+   *    "changeset": 1,
+   *    "timestamp": "2015-04-21T17:31:51.105Z",
+   *    "tags": {
+   *      "test": "relation_endpoint"
+   *    },
+   *    "members": [
+   *      { "type": "node", "ref": 698236, "role": "" },
+   *      { "type": "way", "ref": 168329, "role": "" }
+   *    ]
+   *  }
+   */
+  {
+    method: 'GET',
+    path: '/relation/{id}',
+    handler: function (req, res) {
+      var id = parseInt(req.params.id || '', 10);
+      if (!id || isNaN(id)) {
+        return res(Boom.badRequest('Relation ID must be a non-zero number'));
+      }
+      var format = req.query.format || 'json';
+      if (format !== 'json' && format !== 'geojson') {
+        return res(Boom.badRequest('Format must be json or geojson'));
+      }
+
+      queryRelations(knex, [id], true)
+      .then(function (rels) {
+        if (rels.length === 0) {
+          throw Boom.notFound('Relation ' + id + ' not found');
+        }
+        var relation = OsmJSON.relation(rels[0]);
+        if (format === 'geojson') {
+          return relationGeoJSON(relation).then(res);
+        }
+        res(relation);
+      })
+      .catch(function (err) {
+        log.error(err);
+        res(Boom.wrap(err));
+      });
+    }
+  },
+  /**
+   * @api {get} /xml/relation/:id/[full] Get relation by ID as XML
+   * @apiGroup Features
+   * @apiName XmlRelation
+   * @apiDescription Returns OSM XML of the requested Relation. Appending
+   * `/full` also returns every member way with its nodes, every member
+   * node, and every member relation, without their own members, so the
+   * relation can be opened in an editor such as JOSM.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} id Relation ID.
+   *
+   * @apiError (404) NotFound The relation does not exist.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/relation/260/full
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="OpenRoads">
+   *    <node id="698236" visible="true" version="1" changeset="1" timestamp="Tue Apr 21 2015 17:31:51 GMT+0000 (UTC)" user="DevelopmentSeed" uid="1" lat="9.787903" lon="123.939617"/>
+   *    <node id="698237" visible="true" version="1" changeset="1" timestamp="Tue Apr 21 2015 17:31:51 GMT+0000 (UTC)" user="DevelopmentSeed" uid="1" lat="9.788083" lon="123.939679"/>
+   *    <way id="168329" visible="true" version="1" changeset="1" timestamp="Tue Apr 21 2015 17:31:51 GMT+0000 (UTC)" user="DevelopmentSeed" uid="1">
+   *      <nd ref="698236"/>
+   *      <nd ref="698237"/>
+   *      <tag k="highway" v="road"/>
+   *    </way>
+   *    <relation id="260" visible="true" version="1" changeset="1" timestamp="Tue Apr 21 2015 17:31:51 GMT+0000 (UTC)" user="DevelopmentSeed" uid="1">
+   *      <member type="node" ref="698236" role=""/>
+   *      <member type="way" ref="168329" role=""/>
+   *      <tag k="test" v="relation_endpoint"/>
+   *    </relation>
+   *  </osm>
+   */
+  {
+    method: 'GET',
+    path: '/xml/relation/{id}/full',
+    handler: serveRelationXML(true)
+  },
+  {
+    method: 'GET',
+    path: '/xml/relation/{id}',
+    handler: serveRelationXML(false)
+  },
   /**
    * @api {get} /relations?key1=value1&key2=value2 Query relations by tag
    * @apiGroup Features
    * @apiName GetRelations
-   * @apiDescription Get relations that either belong to a way, or are
-   * tagged with an attribute.
+   * @apiDescription Get relations that either have a node, way or
+   * relation as a member, or are tagged with an attribute.
    * @apiVersion 0.1.0
    *
-   * @apiParam (Querying by way ID) {String} member member=WayID eg. member=32
+   * @apiParam (Querying by member) {String} member member=ID eg. member=32
+   * @apiParam (Querying by member) {String} [member_type=way] Type of the
+   * member: `node`, `way` or `relation`.
    * @apiParam (Querying by tag) {String} tag_name tag=value eg. road_condition=poor
    *
    * @apiSuccess {Object[]} relations      List of relations
@@ -114,11 +243,11 @@ module.exports = [
       // Query the relation by it's member iD.
       // This asks, what projects is this road a part of?
       if (query.member) {
-        q = knex('current_relation_members')
-        .where('member_type', 'Way')
-        .andWhere('member_id', +query.member)
-        .select('relation_id');
-
+        var memberType = query.member_type || 'way';
+        if (queryParents.types.indexOf(memberType) === -1) {
+          return res(Boom.badRequest('Member type must be node, way or relation.'));
+        }
+        q = queryParents.relations(knex, memberType, +query.member);
       }
 
       // Query the relation by the type of tag it has.
@@ -138,36 +267,93 @@ module.exports = [
         });
         q = q.select('relation_id');
       }
-      queryRelations(q).then(res);
+      queryRelations(knex, q).then(res);
 
     }
 
   }];
 
-function queryRelations(relationIds, full) {
-  return knex('current_relations')
-    .whereIn('id', relationIds)
+function serveRelationXML(full) {
+  return function (req, res) {
+    var id = parseInt(req.params.id || '', 10);
+    if (!id || isNaN(id)) {
+      return res(Boom.badRequest('Relation ID must be a non-zero number'));
+    }
+
+    queryRelations(knex, [id], true)
     .then(function (rels) {
-      return Promise.all([
-        knex('current_relation_tags')
-          .whereIn('relation_id', relationIds),
-        full ? knex('current_relation_members')
-          .whereIn('relation_id', relationIds) : []
-      ])
-      .then(function (result) {
-        var tags = result[0];
-        var members = result[1];
-        rels.forEach(function (rel) {
-          rel.tags = tags.filter(function (t) {
-            return t.relation_id === rel.id;
-          });
-          if(full) {
-            rel.members = members.filter(function (m) {
-              return m.relation_id === rel.id;
-            });
-          }
-        });
-        return rels;
-      });
+      if (rels.length === 0) {
+        throw Boom.notFound('Relation ' + id + ' not found');
+      }
+      return full ? queryMembers(rels[0]) : { relations: rels };
+    })
+    .then(function (entities) {
+      var response = res(XML.write(entities).toString());
+      response.type('text/xml');
+    })
+    .catch(function (err) {
+      log.error(err);
+      res(Boom.wrap(err));
+    });
+  };
+}
+
+// Query the members of a relation: ways with their nodes, nodes, and
+// relations without their own members. Resolves with an object for
+// XML.write, which includes the relation itself.
+function queryMembers(relation) {
+  function refs(type) {
+    return _(relation.members).filter(function (member) {
+      return member.member_type.toLowerCase() === type;
+    }).pluck('member_id').uniq().value();
+  }
+  var nodeIds = refs('node');
+  var relationIds = _.without(refs('relation'), relation.id);
+
+  return Promise.all([
+    queryWays(knex, refs('way')),
+    knex('current_nodes').whereIn('id', nodeIds),
+    knex('current_node_tags').whereIn('node_id', nodeIds),
+    queryRelations(knex, relationIds, true)
+  ])
+  .then(function (result) {
+    var ways = result[0];
+
+    // Nodes can be members and in member ways at the same time.
+    var nodes = _.uniq(ways.nodes.concat(result[1]), 'id');
+    var tags = _.uniq(ways.nodetags.concat(result[2]), function (tag) {
+      return tag.node_id + '=' + tag.k;
     });
+
+    return {
+      nodes: Node.withTags(nodes, tags, 'node_id'),
+      ways: ways.ways,
+      relations: result[3].concat(relation)
+    };
+  });
+}
+
+// The member nodes and ways of a relation, as GeoJSON.
+function relationGeoJSON(relation) {
+  function refs(type) {
+    return relation.members.filter(function (member) {
+      return member.type === type;
+    }).map(function (member) {
+      return member.ref;
+    });
+  }
+  var nodeIds = refs('node');
+
+  return Promise.all([
+    queryWays(knex, refs('way')),
+    knex('current_nodes').whereIn('id', nodeIds),
+    knex('current_node_tags').whereIn('node_id', nodeIds)
+  ])
+  .then(function (result) {
+    var data = result[0];
+    data.points = Node.withTags(result[1], result[2], 'node_id');
+    var geojson = toGeoJSON(data);
+    geojson.properties = relation.tags;
+    return geojson;
+  });
 }
@@ -0,0 +1,108 @@
+'use strict';
+var Boom = require('boom');
+
+var knex = require('../connection.js');
+var queryParents = require('../services/query-parents.js');
+var queryRelations = require('../services/query-relations.js');
+var queryWays = require('../services/query-ways.js');
+var XML = require('../services/xml.js');
+
+/*
+ * Make a handler that serves, as OSM XML, the ways or the relations that
+ * use the element of the given type. `parents` is `ways` or `relations`.
+ * If nothing uses the element, the document is empty.
+ */
+function serveParents(type, parents) {
+  return function (req, res) {
+    var id = parseInt(req.params.id || '', 10);
+    if (!id || isNaN(id)) {
+      return res(Boom.badRequest('ID must be a non-zero number'));
+    }
+
+    var query = parents === 'ways' ?
+      queryWays(knex, queryParents.ways(knex, id)).then(function (result) {
+        return { ways: result.ways };
+      }) :
+      queryRelations(knex, queryParents.relations(knex, type, id), true).then(function (relations) {
+        return { relations: relations };
+      });
+
+    query.then(function (entities) {
+      var response = res(XML.write(entities).toString());
+      response.type('text/xml');
+    })
+    .catch(function (err) {
+      console.log(err);
+      res(Boom.wrap(err));
+    });
+  };
+}
+
+module.exports = [
+  /**
+   * @api {get} /xml/node/:id/ways Get the ways of a node
+   * @apiGroup Features
+   * @apiName XmlNodeWays
+   * @apiDescription Returns OSM XML of the visible ways that use the node,
+   * without their nodes. Editors use it before splitting, merging or
+   * deleting a node.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} id Node ID.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/node/27/ways
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="OpenRoads">
+   *    <way id="26" visible="true" version="1" changeset="0" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)" user="OpenRoads" uid="1">
+   *      <nd ref="27"/>
+   *      <nd ref="28"/>
+   *      <tag k="highway" v="unclassified"/>
+   *    </way>
+   *  </osm>
+   */
+  {
+    method: 'GET',
+    path: '/xml/node/{id}/ways',
+    handler: serveParents('node', 'ways')
+  },
+  /**
+   * @api {get} /xml/:type/:id/relations Get the relations of an element
+   * @apiGroup Features
+   * @apiName XmlRelationsOfElement
+   * @apiDescription Returns OSM XML of the visible relations that have the
+   * node, way or relation as a member, without their members.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {String} type `node`, `way` or `relation`.
+   * @apiParam {Number} id Element ID.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/xml/way/168329/relations
+   *
+   * @apiSuccessExample {xml} Success-Response:
+   *  <osm version="0.6" generator="OpenRoads">
+   *    <relation id="260" visible="true" version="1" changeset="1" timestamp="Tue Apr 21 2015 17:31:51 GMT+0000 (UTC)" user="DevelopmentSeed" uid="1">
+   *      <member type="node" ref="698236" role=""/>
+   *      <member type="way" ref="168329" role=""/>
+   *      <tag k="test" v="relation_endpoint"/>
+   *    </relation>
+   *  </osm>
+   */
+  {
+    method: 'GET',
+    path: '/xml/node/{id}/relations',
+    handler: serveParents('node', 'relations')
+  },
+  {
+    method: 'GET',
+    path: '/xml/way/{id}/relations',
+    handler: serveParents('way', 'relations')
+  },
+  {
+    method: 'GET',
+    path: '/xml/relation/{id}/relations',
+    handler: serveParents('relation', 'relations')
+  }
+];
@@ -0,0 +1,103 @@
+'use strict';
+var Boom = require('boom');
+var Promise = require('bluebird');
+
+var knex = require('../connection.js');
+var queryAdminAreas = require('../services/query-admin-areas.js');
+var queryBbox = require('../services/query-bbox.js');
+var tileCache = require('../services/tile-cache.js');
+var toGeoJSON = require('../services/osm-data-to-geojson.js');
+var VectorTile = require('../services/vector-tile.js');
+
+var MAX_ZOOM = 22;
+
+// Below this zoom, tiles are bigger than the area that the map call
+// allows, see services/max-area.js, and would cover too many roads to
+// query at once.
+var ROADS_MIN_ZOOM = 10;
+
+// The type of admin areas shown up to each zoom: regions, then provinces,
+// then municipalities.
+var ADMIN_TYPES = [
+  { maxZoom: 6, type: 1 },
+  { maxZoom: 8, type: 2 },
+  { maxZoom: MAX_ZOOM, type: 3 }
+];
+
+function adminType(z) {
+  for (var i = 0; i < ADMIN_TYPES.length; i++) {
+    if (z <= ADMIN_TYPES[i].maxZoom) {
+      return ADMIN_TYPES[i].type;
+    }
+  }
+}
+
+function roads(bounds) {
+  return queryBbox.ways(knex, bounds).then(function (result) {
+    var roads = toGeoJSON({ nodes: result.nodes, ways: result.ways });
+    roads.features.forEach(function (feature, i) {
+      feature.id = +result.ways[i].id;
+    });
+    return roads;
+  });
+}
+
+module.exports = {
+  /**
+   * @api {get} /tiles/:z/:x/:y.mvt Vector tiles of the road network
+   * @apiGroup Features
+   * @apiName VectorTile
+   * @apiDescription Returns a Mapbox Vector Tile with two layers:
+   *
+   * - `roads`: the roads, with their tags as properties and their way ID
+   *   as feature ID. From zoom 10 up.
+   * - `admin`: the boundaries of regions up to zoom 6, of provinces up to
+   *   zoom 8, and of municipalities from zoom 9. Properties are `id`, `name`
+   *   and `type`.
+   *
+   * Lines are simplified to the zoom of the tile. Tiles are cached, until
+   * an upload changes something in them.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} z Zoom, from 0 to 22.
+   * @apiParam {Number} x Column of the tile.
+   * @apiParam {Number} y Row of the tile.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/tiles/12/3456/1938.mvt
+   */
+  method: 'GET',
+  path: '/tiles/{z}/{x}/{y}.mvt',
+  handler: function (req, res) {
+    var z = Number(req.params.z);
+    var x = Number(req.params.x);
+    var y = Number(req.params.y);
+    var n = Math.pow(2, z);
+    if ([z, x, y].some(function (i) { return i % 1 !== 0 || i < 0; }) ||
+      z > MAX_ZOOM || x >= n || y >= n) {
+      return res(Boom.badRequest('Tile coordinates must be a zoom from 0 to ' +
+        MAX_ZOOM + ', and a column and row within that zoom'));
+    }
+
+    var cached = tileCache.get(z, x, y);
+    if (cached) {
+      return res(cached).type('application/x-protobuf');
+    }
+
+    var generation = tileCache.generation();
+    var bounds = VectorTile.tileBounds(z, x, y, true);
+    Promise.all([
+      z >= ROADS_MIN_ZOOM ? roads(bounds) : { features: [] },
+      queryAdminAreas(adminType(z), bounds)
+    ])
+    .then(function (layers) {
+      var tile = VectorTile.write({ roads: layers[0], admin: layers[1] }, z, x, y);
+      tileCache.set(z, x, y, bounds, tile, generation);
+      res(tile).type('application/x-protobuf');
+    })
+    .catch(function (err) {
+      console.log(err);
+      res(Boom.wrap(err));
+    });
+  }
+};
@@ -1,9 +1,13 @@
 'use strict';
+var _ = require('lodash');
 var Boom = require('boom');
 
 var knex = require('../connection.js');
 var queryWays = require('../services/query-ways.js');
 var XML = require('../services/xml.js');
+var OsmJSON = require('../services/osm-json.js');
+var toGeoJSON = require('../services/osm-data-to-geojson.js');
+var roadLength = require('../services/road-length.js');
 var Node = require('../models/node-model.js');
 
 function serveSingleWay(req, res) {
@@ -27,6 +31,34 @@ function serveSingleWay(req, res) {
   });
 }
 
+function serveWayJSON(req, res) {
+  var wayId = parseInt(req.params.wayId || '', 10);
+  if (!wayId || isNaN(wayId)) {
+    return res(Boom.badRequest('Way ID must be a non-zero number'));
+  }
+  var format = req.query.format || 'json';
+  if (format !== 'json' && format !== 'geojson') {
+    return res(Boom.badRequest('Format must be json or geojson'));
+  }
+
+  queryWays(knex, [wayId])
+  .then(function (result) {
+    if (result.ways.length === 0) {
+      throw Boom.notFound('Way ' + wayId + ' not found');
+    }
+    var geoJSON = toGeoJSON(result);
+    var length = roadLength.addLengths(geoJSON);
+    if (format === 'geojson') {
+      return res(geoJSON);
+    }
+    res(_.extend(OsmJSON.way(result.ways[0]), { length_km: length }));
+  })
+  .catch(function (err) {
+    console.log(err);
+    res(Boom.wrap(err));
+  });
+}
+
 module.exports = [
   /**
    * @api {get} /xml/way/:wayId/[full] Get way by ID
@@ -55,7 +87,7 @@ module.exports = [
    *  
    *  
    * @apiSuccessExample {xml} Success-Response:
-   *  <osm version="6" generator="OpenRoads">
+   *  <osm version="0.6" generator="OpenRoads">
    *    <node id="27" visible="true" version="1" changeset="0" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)" user="OpenRoads" uid="1" lat="9.787903" lon="123.939617"/>
    *    <node id="28" visible="true" version="1" changeset="0" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)" user="OpenRoads" uid="1" lat="9.788083" lon="123.939679"/>
    *    <way id="26" visible="true" version="1" changeset="0" timestamp="Wed Mar 11 2015 09:38:41 GMT+0000 (UTC)" user="OpenRoads" uid="1">
@@ -75,5 +107,54 @@ module.exports = [
     method: 'GET',
     path: '/xml/way/{wayId}',
     handler: serveSingleWay
+  },
+  /**
+   * @api {get} /way/:wayId Get way by ID as JSON
+   * @apiGroup Features
+   * @apiName Way
+   * @apiDescription Returns the requested Way as JSON, with the ids of its
+   * nodes, or as a GeoJSON FeatureCollection with a LineString feature.
+   * Either way, it has its geodesic length in kilometers as `length_km`,
+   * in the properties of the feature for GeoJSON.
+   * @apiVersion 0.1.0
+   *
+   * @apiParam {Number} id Way ID.
+   * @apiParam {String} [format] `geojson` to get GeoJSON.
+   *
+   * @apiSuccess {String} type `way`
+   * @apiSuccess {Number} id Entity ID
+   * @apiSuccess {Boolean} visible Whether entity can be rendered
+   * @apiSuccess {Number} version Number of edits made to this entity
+   * @apiSuccess {Number} changeset Most recent changeset
+   * @apiSuccess {String} timestamp Most recent edit
+   * @apiSuccess {Object} tags Tags, as an object of keys and values
+   * @apiSuccess {Number[]} nodes IDs of the nodes of the way, in order
+   * @apiSuccess {Number} length_km Length of the way in kilometers
+   *
+   * @apiError (404) NotFound The way does not exist.
+   *
+   * @apiExample {curl} Example Usage:
+   *    curl http://localhost:4000/way/26?format=geojson
+   *
+   * @apiSuccessExample {json} Success-Response:
+   *  {
+   *    "type": "way",
+   *    "id": 26,
+   *    "visible": true,
+   *    "version": 1,
+   *    "changeset": 0,
+   *    "timestamp": "2015-03-11T09:38:41.000Z",
+   *    "tags": {
+   *      "highway": "unclassified",
+   *      "or_responsibility": "barangay"
+   *    },
+   *    "nodes": [27, 28],
+   *    "length_km": 0.412
+   *  }
+   */
+  {
+    method: 'GET',
+    path: '/way/{wayId}',
+    handler: serveWayJSON
   }
 ];
@@ -0,0 +1,80 @@
+'use strict';
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var Node = require('../models/node-model.js');
+var WayNode = require('../models/way-node.js');
+var RATIO = require('./ratio.js');
+
+function ids(entities) {
+  return _.pluck(entities || [], 'id').map(function(id) {
+    return parseInt(id, 10);
+  }).filter(function(id) {
+    return id > 0;
+  });
+}
+
+function extend(bounds, lon, lat) {
+  if (isNaN(lon) || isNaN(lat)) {
+    return;
+  }
+  bounds.minLon = Math.min(lon, _.has(bounds, 'minLon') ? bounds.minLon : lon);
+  bounds.minLat = Math.min(lat, _.has(bounds, 'minLat') ? bounds.minLat : lat);
+  bounds.maxLon = Math.max(lon, _.has(bounds, 'maxLon') ? bounds.maxLon : lon);
+  bounds.maxLat = Math.max(lat, _.has(bounds, 'maxLat') ? bounds.maxLat : lat);
+}
+
+/*
+ * Grow `q.bounds` to cover what a batch of an upload changes on the map, in
+ * degrees: the new positions of its nodes, and, before the batch is saved,
+ * the positions of the nodes it modifies or deletes, of the nodes of the
+ * ways it changes or that use those nodes, and of the nodes that its ways
+ * refer to. Unlike the bounding box of the changeset, this covers where
+ * nodes were before they moved, and ways whose tags alone changed.
+ */
+module.exports = function changedBounds(q) {
+  var changeset = q.changeset;
+  var bounds = q.bounds;
+
+  ['create', 'modify'].forEach(function(action) {
+    (changeset[action].node || []).forEach(function(node) {
+      extend(bounds, parseFloat(node.lon), parseFloat(node.lat));
+    });
+  });
+
+  var nodeIds = ids([].concat(changeset.modify.node || [], changeset['delete'].node || []));
+  var wayIds = ids([].concat(changeset.modify.way || [], changeset['delete'].way || []));
+  var refs = [];
+  ['create', 'modify'].forEach(function(action) {
+    (changeset[action].way || []).forEach(function(way) {
+      refs = refs.concat(ids(_.map(way.nd, function(nd) {
+        return { id: nd.ref };
+      })));
+    });
+  });
+  if (!nodeIds.length && !wayIds.length && !refs.length) {
+    return Promise.resolve();
+  }
+
+  var ways = q.transaction(WayNode.tableName).whereIn('node_id', nodeIds).select('way_id');
+  var wayNodes = q.transaction(WayNode.tableName).where(function() {
+    this.whereIn('way_id', wayIds).orWhereIn('way_id', ways);
+  }).select('node_id');
+
+  return q.transaction(Node.tableName).where(function() {
+    this.whereIn('id', _.uniq(nodeIds.concat(refs))).orWhereIn('id', wayNodes);
+  })
+  .select(
+    q.transaction.raw('min(longitude) as min_lon'),
+    q.transaction.raw('min(latitude) as min_lat'),
+    q.transaction.raw('max(longitude) as max_lon'),
+    q.transaction.raw('max(latitude) as max_lat')
+  )
+  .then(function(rows) {
+    var row = rows[0];
+    if (row && row.min_lon !== null) {
+      extend(bounds, row.min_lon / RATIO, row.min_lat / RATIO);
+      extend(bounds, row.max_lon / RATIO, row.max_lat / RATIO);
+    }
+  });
+};
@@ -0,0 +1,49 @@
+'use strict';
+var Boom = require('boom');
+
+/*
+ * Makes sure every negative id that a way or a relation refers to is the
+ * placeholder id of an entity created in the same changeset, or already in
+ * `map` if it was created earlier in the same upload. Those are the only ids
+ * that can be resolved against `q.map` once the new entities are saved.
+ *
+ * Throws a 400 listing the placeholders that can't be resolved.
+ */
+module.exports = function checkPlaceholders(changeset, map) {
+  var created = {};
+  ['node', 'way', 'relation'].forEach(function(type) {
+    created[type] = {};
+    Object.keys((map && map[type]) || {}).forEach(function(id) {
+      created[type][parseInt(id, 10)] = true;
+    });
+    (changeset.create[type] || []).forEach(function(entity) {
+      created[type][parseInt(entity.id, 10)] = true;
+    });
+  });
+
+  var unresolved = [];
+  function check(type, ref, entityType, entity) {
+    ref = parseInt(ref, 10);
+    if (ref < 0 && !(created[type] && created[type][ref])) {
+      unresolved.push(entityType + ' ' + entity.id + ' refers to ' + type + ' ' + ref);
+    }
+  }
+
+  ['create', 'modify'].forEach(function(action) {
+    (changeset[action].way || []).forEach(function(way) {
+      (way.nd || []).forEach(function(nd) {
+        check('node', nd.ref, 'way', way);
+      });
+    });
+    (changeset[action].relation || []).forEach(function(relation) {
+      (relation.member || []).forEach(function(member) {
+        check(String(member.type).toLowerCase(), member.ref, 'relation', relation);
+      });
+    });
+  });
+
+  if (unresolved.length) {
+    throw Boom.badRequest('Placeholder ids could not be resolved: ' +
+      unresolved.join(', '));
+  }
+};
@@ -0,0 +1,164 @@
+'use strict';
+var _ = require('lodash');
+var Boom = require('boom');
+var Promise = require('bluebird');
+
+var models = {
+  node: require('../models/node-model.js'),
+  way: require('../models/way.js'),
+  relation: require('../models/relation.js')
+};
+var WayNode = require('../models/way-node.js');
+var RelationMember = require('../models/relation-member.js');
+
+function capitalize(type) {
+  return type.slice(0, 1).toUpperCase() + type.slice(1);
+}
+
+// Ids of the entities of a type that the changeset modifies or deletes.
+// Their references in the database are about to be replaced or removed.
+function changedIds(changeset, type) {
+  return [].concat(
+    changeset.modify[type] || [],
+    changeset['delete'][type] || []
+  ).map(function(entity) {
+    return parseInt(entity.id, 10);
+  });
+}
+
+// List the ways and relations in the changeset that refer to an entity of
+// `type`, as {type, id, ref} objects.
+function changesetReferences(changeset, type) {
+  var references = [];
+  ['create', 'modify'].forEach(function(action) {
+    if (type === 'node') {
+      (changeset[action].way || []).forEach(function(way) {
+        (way.nd || []).forEach(function(nd) {
+          references.push({ type: 'way', id: way.id, ref: parseInt(nd.ref, 10) });
+        });
+      });
+    }
+    (changeset[action].relation || []).forEach(function(relation) {
+      (relation.member || []).forEach(function(member) {
+        if (String(member.type).toLowerCase() === type) {
+          references.push({
+            type: 'relation',
+            id: relation.id,
+            ref: parseInt(member.ref, 10)
+          });
+        }
+      });
+    });
+  });
+  return references;
+}
+
+// List the visible ways and relations in the database that refer to the
+// entities of `type` with the given ids, as {type, id, ref} objects.
+function databaseReferences(q, type, ids) {
+  var queries = [
+    q.transaction(RelationMember.tableName)
+    .join(models.relation.tableName, 'relation_id', models.relation.tableName + '.id')
+    .where('member_type', capitalize(type))
+    .whereIn('member_id', ids)
+    .andWhere(models.relation.tableName + '.visible', true)
+    .select('relation_id as id', 'member_id as ref')
+    .then(function(rows) {
+      return rows.map(function(row) {
+        return { type: 'relation', id: parseInt(row.id, 10), ref: parseInt(row.ref, 10) };
+      });
+    })
+  ];
+  if (type === 'node') {
+    queries.push(q.transaction(WayNode.tableName)
+    .join(models.way.tableName, 'way_id', models.way.tableName + '.id')
+    .whereIn('node_id', ids)
+    .andWhere(models.way.tableName + '.visible', true)
+    .select('way_id as id', 'node_id as ref')
+    .then(function(rows) {
+      return rows.map(function(row) {
+        return { type: 'way', id: parseInt(row.id, 10), ref: parseInt(row.ref, 10) };
+      });
+    }));
+  }
+  return Promise.all(queries).then(function(references) {
+    var changed = {
+      way: changedIds(q.changeset, 'way'),
+      relation: changedIds(q.changeset, 'relation')
+    };
+    return [].concat.apply([], references).filter(function(reference) {
+      return changed[reference.type].indexOf(reference.id) === -1;
+    });
+  });
+}
+
+/*
+ * Makes sure nothing still uses the entities that the changeset deletes,
+ * the same way the OSM 0.6 API does: a node can't be deleted while a way
+ * or a relation refers to it, and neither can a way or a relation while a
+ * relation refers to it.
+ *
+ * References from ways and relations deleted in the same changeset don't
+ * count, and ways and relations modified in the changeset are checked with
+ * their new nodes and members. Relations are checked first, then ways and
+ * nodes, so a delete that is skipped also protects what it refers to.
+ *
+ * Rejects with a 412 naming the entities that are still in use and what
+ * uses them. If the delete block is marked `if-unused`, the deletes of those
+ * entities are dropped from the changeset instead, and added to `q.skipped`.
+ */
+module.exports = function checkReferences(q) {
+  var deleted = q.changeset['delete'];
+  var ifUnused = deleted['if-unused'] === true || deleted['if-unused'] === 'true';
+
+  return Promise.each(['relation', 'way', 'node'], function(type) {
+    var entities = deleted[type] || [];
+    if (!entities.length) {
+      return;
+    }
+    var ids = _.uniq(entities.map(function(entity) {
+      return parseInt(entity.id, 10);
+    }));
+
+    return databaseReferences(q, type, ids)
+    .then(function(references) {
+      references = references.concat(changesetReferences(q.changeset, type));
+
+      var usedBy = {};
+      references.forEach(function(reference) {
+        if (ids.indexOf(reference.ref) === -1) {
+          return;
+        }
+        var referrer = reference.type + ' ' + reference.id;
+        usedBy[reference.ref] = _.uniq((usedBy[reference.ref] || []).concat(referrer));
+      });
+
+      var used = Object.keys(usedBy);
+      if (!used.length) {
+        return;
+      }
+
+      if (ifUnused) {
+        var unused = entities.filter(function(entity) {
+          return !usedBy[parseInt(entity.id, 10)];
+        });
+        q.skipped[type] = q.skipped[type].concat(_.difference(entities, unused));
+        if (unused.length) {
+          deleted[type] = unused;
+        }
+        else {
+          delete deleted[type];
+        }
+        return;
+      }
+
+      var err = Boom.preconditionFailed(used.map(function(id) {
+        return capitalize(type) + ' ' + id + ' is still used by ' + usedBy[id].join(', ');
+      }).join('. '));
+      err.output.payload.referenced = used.map(function(id) {
+        return { type: type, id: parseInt(id, 10), usedBy: usedBy[id] };
+      });
+      throw err;
+    });
+  });
+};
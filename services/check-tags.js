@@ -0,0 +1,62 @@
+'use strict';
+
+/*
+ * Checks the tags of the ways that a changeset creates or modifies against
+ * a tag schema, see services/tag-schema.js. Only roads, ways with a
+ * `highway` tag, are checked:
+ * - the highway class must be one of the schema,
+ * - every key must be in the schema, with one of its values if it lists some,
+ * - the keys that the highway class requires must be there.
+ *
+ * Returns the problems found, as {type, id, key, value, message} objects.
+ */
+module.exports = function checkTags(changeset, schema) {
+  var problems = [];
+
+  function problem(way, key, value, message) {
+    problems.push({
+      type: 'way',
+      id: way.id,
+      key: key,
+      value: value,
+      message: 'Way ' + way.id + ': ' + message
+    });
+  }
+
+  ['create', 'modify'].forEach(function(action) {
+    (changeset[action].way || []).forEach(function(way) {
+      var tags = {};
+      (way.tag || []).forEach(function(tag) {
+        tags[tag.k] = tag.v;
+      });
+      if (!tags.hasOwnProperty('highway')) {
+        return;
+      }
+
+      var highway = schema.highway[tags.highway];
+      if (!highway) {
+        problem(way, 'highway', tags.highway,
+          'unknown highway class ' + tags.highway);
+      }
+
+      Object.keys(tags).forEach(function(key) {
+        var rule = schema.keys[key];
+        if (!rule) {
+          problem(way, key, tags[key], 'unknown tag ' + key);
+        }
+        else if (rule.values && rule.values.indexOf(tags[key]) === -1) {
+          problem(way, key, tags[key], 'invalid value ' + tags[key] + ' for ' +
+            key + ', expected one of ' + rule.values.join(', '));
+        }
+      });
+
+      ((highway && highway.required) || []).forEach(function(key) {
+        if (!tags[key]) {
+          problem(way, key, null, 'missing tag ' + key + ' for highway=' + tags.highway);
+        }
+      });
+    });
+  });
+
+  return problems;
+};
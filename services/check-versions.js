@@ -0,0 +1,77 @@
+'use strict';
+var _ = require('lodash');
+var Boom = require('boom');
+var Promise = require('bluebird');
+
+var models = {
+  node: require('../models/node-model.js'),
+  way: require('../models/way.js'),
+  relation: require('../models/relation.js')
+};
+
+/*
+ * Compares the version of every modified or deleted entity in the changeset
+ * against the version currently in the database, the same way the OSM 0.6
+ * API does. The rows are locked until the transaction in `q` finishes, so no
+ * other upload can slip an edit in between the check and our own update.
+ *
+ * Rejects with a 404 if an entity does not exist, and with a 409 listing
+ * every conflicting entity if any of the versions are stale.
+ */
+module.exports = function checkVersions(q) {
+  return Promise.map(['node', 'way', 'relation'], function(type) {
+    var entities = [].concat(
+      q.changeset.modify[type] || [],
+      q.changeset['delete'][type] || []
+    );
+    if (!entities.length) {
+      return [];
+    }
+    var ids = _.uniq(entities.map(function(entity) {
+      return parseInt(entity.id, 10);
+    }));
+
+    return q.transaction(models[type].tableName)
+    .whereIn('id', ids)
+    .select('id', 'version')
+    .forUpdate()
+    .then(function(rows) {
+      var current = {};
+      rows.forEach(function(row) {
+        current[row.id] = parseInt(row.version, 10);
+      });
+      return entities.map(function(entity) {
+        var id = parseInt(entity.id, 10);
+        return {
+          type: type,
+          id: id,
+          expected: parseInt(entity.version, 10),
+          actual: current.hasOwnProperty(id) ? current[id] : null
+        };
+      });
+    });
+  })
+  .then(function(checked) {
+    checked = [].concat.apply([], checked);
+
+    var missing = checked.filter(function(entity) {
+      return entity.actual === null;
+    });
+    if (missing.length) {
+      throw Boom.notFound('Could not find ' + missing.map(function(entity) {
+        return entity.type + ' ' + entity.id;
+      }).join(', '));
+    }
+
+    var conflicts = checked.filter(function(entity) {
+      return entity.expected !== entity.actual;
+    });
+    if (conflicts.length) {
+      var err = Boom.conflict('Version mismatch for ' + conflicts.map(function(entity) {
+        return entity.type + ' ' + entity.id;
+      }).join(', '));
+      err.output.payload.conflicts = conflicts;
+      throw err;
+    }
+  });
+};
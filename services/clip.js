@@ -1,41 +1,160 @@
 'use strict';
 var linestring = require('turf-linestring');
-var point = require('turf-point');
-var inside = require('turf-inside');
 
-// clip the given LineString features to the given polygon.
-// returns a new list of LineStrings, possibly longer than the original
-// since a single line might get clipped into multiple lines.
+// The edges of a Polygon or MultiPolygon feature or geometry, in horizontal
+// bands, so that only the edges near a segment or a point are checked.
+function Edges(polygon) {
+  var geometry = polygon.geometry || polygon;
+  var polygons = geometry.type === 'MultiPolygon' ?
+    geometry.coordinates : [geometry.coordinates];
+  var edges = [];
+  polygons.forEach(function (rings) {
+    rings.forEach(function (ring) {
+      for (var i = 1; i < ring.length; i++) {
+        edges.push([ring[i - 1], ring[i]]);
+      }
+    });
+  });
+
+  var minY = Infinity;
+  var maxY = -Infinity;
+  edges.forEach(function (edge) {
+    minY = Math.min(minY, edge[0][1], edge[1][1]);
+    maxY = Math.max(maxY, edge[0][1], edge[1][1]);
+  });
+  this.minY = minY;
+  this.count = Math.max(1, Math.ceil(Math.sqrt(edges.length)));
+  this.height = (maxY - minY) / this.count || 1;
+  this.bands = [];
+  for (var i = 0; i < this.count; i++) {
+    this.bands.push([]);
+  }
+  edges.forEach(function (edge) {
+    var first = this.band(Math.min(edge[0][1], edge[1][1]));
+    var last = this.band(Math.max(edge[0][1], edge[1][1]));
+    for (var i = first; i <= last; i++) {
+      this.bands[i].push(edge);
+    }
+  }, this);
+}
+
+Edges.prototype.band = function (y) {
+  return Math.max(0, Math.min(this.count - 1, Math.floor((y - this.minY) / this.height)));
+};
+
+// The edges in the bands from y0 to y1. An edge can be in several bands.
+Edges.prototype.between = function (y0, y1) {
+  var first = this.band(Math.min(y0, y1));
+  var last = this.band(Math.max(y0, y1));
+  return first === last ? this.bands[first] :
+    [].concat.apply([], this.bands.slice(first, last + 1));
+};
+
+function cross(a, b) {
+  return a[0] * b[1] - a[1] * b[0];
+}
+
+// Where along the segment from a to b it crosses the segment from c to d,
+// between 0 and 1, or null if it doesn't.
+function crossing(a, b, c, d) {
+  var r = [b[0] - a[0], b[1] - a[1]];
+  var s = [d[0] - c[0], d[1] - c[1]];
+  var denom = cross(r, s);
+  // Parallel segments don't cross, and a road along the boundary is cut
+  // where the segments before and after it cross.
+  if (denom === 0) {
+    return null;
+  }
+  var ac = [c[0] - a[0], c[1] - a[1]];
+  var t = cross(ac, s) / denom;
+  var u = cross(ac, r) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+// Whether a point is inside, with the even-odd rule, so holes are outside
+// and every polygon of a MultiPolygon counts.
+function inside(point, edges) {
+  var result = false;
+  edges.between(point[1], point[1]).forEach(function (edge) {
+    var a = edge[0];
+    var b = edge[1];
+    if ((a[1] > point[1]) !== (b[1] > point[1]) &&
+      point[0] < (b[0] - a[0]) * (point[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+      result = !result;
+    }
+  });
+  return result;
+}
+
+function interpolate(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+// Where the segment from a to b crosses the edges, as sorted fractions of
+// the segment, from 0 to 1.
+function crossings(a, b, edges) {
+  var ts = [0, 1];
+  edges.between(a[1], b[1]).forEach(function (edge) {
+    var t = crossing(a, b, edge[0], edge[1]);
+    if (t !== null) {
+      ts.push(t);
+    }
+  });
+  return ts.sort(function (x, y) {
+    return x - y;
+  });
+}
+
+// clip the given LineString features to the given Polygon or MultiPolygon,
+// which can have holes. Segments that cross the boundary are cut where they
+// cross it. Returns a new list of LineStrings, possibly longer than the
+// original since a single line might get clipped into multiple lines.
 module.exports = function clip(lines, polygon) {
+  var boundary = new Edges(polygon);
   var result = [];
+
   lines.forEach(function (feat) {
     var coords = feat.geometry.coordinates;
 
     // array of coordinate pairs of linestring we're building
     var current = [];
 
+    function push(point) {
+      var last = current[current.length - 1];
+      if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+        current.push(point);
+      }
+    }
+
     function pushLine() {
-      if(current.length > 0) {
+      if (current.length > 1) {
         result.push(linestring(current, feat.properties));
-        current = [];
       }
+      current = [];
     }
 
-    // scan through the current input linestring, adding clipped
-    // lines to the output as we hit the boundaries of the mask
-    for(var i = 0; i < coords.length; i++) {
-      var ins = inside(point(coords[i]), polygon);
-      if(ins) {
-        current.push(coords[i]);
-      }
-      else {
-        pushLine();
+    // split each segment where it crosses the boundary, and keep the
+    // pieces whose middle is inside.
+    for (var i = 1; i < coords.length; i++) {
+      var a = coords[i - 1];
+      var b = coords[i];
+      var ts = crossings(a, b, boundary);
+      for (var k = 1; k < ts.length; k++) {
+        if (ts[k] === ts[k - 1]) {
+          continue;
+        }
+        if (inside(interpolate(a, b, (ts[k - 1] + ts[k]) / 2), boundary)) {
+          push(ts[k - 1] === 0 ? a : interpolate(a, b, ts[k - 1]));
+          push(ts[k] === 1 ? b : interpolate(a, b, ts[k]));
+        }
+        else {
+          pushLine();
+        }
       }
     }
-    
+
     pushLine();
   });
 
   return result;
 };
-
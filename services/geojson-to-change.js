@@ -0,0 +1,175 @@
+'use strict';
+var _ = require('lodash');
+var Boom = require('boom');
+var Promise = require('bluebird');
+
+var QuadTile = require('./quad-tile.js');
+var RATIO = require('./ratio.js');
+
+// Nodes are matched on their coordinates as they are stored, scaled.
+function key(coordinate) {
+  return (coordinate[0] * RATIO | 0) + ',' + (coordinate[1] * RATIO | 0);
+}
+
+// Turn feature properties into tags. Empty values are left out, and
+// anything that isn't a string is written as JSON.
+function toTags(properties) {
+  var tags = [];
+  _.forEach(properties || {}, function(value, k) {
+    if (value === null || value === undefined || value === '') {
+      return;
+    }
+    tags.push({
+      k: k,
+      v: typeof value === 'string' ? value : JSON.stringify(value)
+    });
+  });
+  return tags;
+}
+
+// List the lines and points of a feature as arrays of coordinates.
+function parts(feature) {
+  var geometry = feature.geometry || {};
+  switch (geometry.type) {
+    case 'Point':
+      return { points: [geometry.coordinates], lines: [] };
+    case 'MultiPoint':
+      return { points: geometry.coordinates, lines: [] };
+    case 'LineString':
+      return { points: [], lines: [geometry.coordinates] };
+    case 'MultiLineString':
+      return { points: [], lines: geometry.coordinates };
+    default:
+      throw Boom.badRequest('Unsupported geometry type: ' + geometry.type +
+        '. Features must be points or lines.');
+  }
+}
+
+function validCoordinate(coordinate) {
+  return Array.isArray(coordinate) && coordinate.length >= 2 &&
+    !isNaN(coordinate[0]) && !isNaN(coordinate[1]) &&
+    Math.abs(coordinate[0]) <= 180 && Math.abs(coordinate[1]) <= 90;
+}
+
+// Find the visible nodes that are at the given coordinates.
+// Resolves with a map of coordinate keys to node ids.
+function existingNodes(knex, coordinates) {
+  if (!coordinates.length) {
+    return Promise.resolve({});
+  }
+  var tiles = _.uniq(coordinates.map(function(coordinate) {
+    return QuadTile.xy2tile(QuadTile.lon2x(coordinate[0]), QuadTile.lat2y(coordinate[1]));
+  }));
+  var keys = coordinates.map(key);
+
+  return Promise.resolve(knex('current_nodes')
+    .where('visible', true)
+    .whereIn('tile', tiles)
+    .select('id', 'latitude', 'longitude'))
+  .then(function(nodes) {
+    var found = {};
+    nodes.forEach(function(node) {
+      var nodeKey = node.longitude + ',' + node.latitude;
+      if (keys.indexOf(nodeKey) !== -1 && !found[nodeKey]) {
+        found[nodeKey] = node.id;
+      }
+    });
+    return found;
+  });
+}
+
+/*
+ * Convert a GeoJSON Feature or FeatureCollection into an osmChange object
+ * that creates a node for every point, and a way with nodes for every line.
+ * Feature properties become tags.
+ *
+ * Coordinates that are used more than once in the upload share one node.
+ * The endpoints of lines are connected to existing nodes at the same
+ * location, so new roads join the network.
+ *
+ * Rejects with a 400 if the GeoJSON can't be converted.
+ */
+module.exports = function geojsonToChange(knex, geojson) {
+  return Promise.try(function() {
+    var features;
+    if (geojson && geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+      features = geojson.features;
+    }
+    else if (geojson && geojson.type === 'Feature') {
+      features = [geojson];
+    }
+    else {
+      throw Boom.badRequest('The payload must be a GeoJSON Feature or FeatureCollection.');
+    }
+
+    features = features.map(function(feature) {
+      var geometry = parts(feature);
+      [].concat.apply(geometry.points, geometry.lines).forEach(function(coordinate) {
+        if (!validCoordinate(coordinate)) {
+          throw Boom.badRequest('Invalid coordinate: ' + JSON.stringify(coordinate));
+        }
+      });
+      geometry.lines.forEach(function(line) {
+        if (line.length < 2) {
+          throw Boom.badRequest('Lines must have at least two coordinates.');
+        }
+      });
+      return { tags: toTags(feature.properties), points: geometry.points, lines: geometry.lines };
+    });
+
+    var endpoints = [];
+    features.forEach(function(feature) {
+      feature.lines.forEach(function(line) {
+        endpoints.push(line[0], line[line.length - 1]);
+      });
+    });
+
+    return existingNodes(knex, endpoints).then(function(existing) {
+      var change = { create: { node: [], way: [] }, modify: {}, 'delete': {} };
+      var created = {};
+      var nodeId = 0;
+      var wayId = 0;
+
+      // Id of the node at a coordinate, creating it if it doesn't exist.
+      function node(coordinate, tags, reuseExisting) {
+        var coordinateKey = key(coordinate);
+        if (reuseExisting && existing[coordinateKey]) {
+          return existing[coordinateKey];
+        }
+        if (!tags.length && created[coordinateKey]) {
+          return created[coordinateKey];
+        }
+        var id = String(--nodeId);
+        change.create.node.push({
+          id: id,
+          lon: coordinate[0],
+          lat: coordinate[1],
+          tag: tags
+        });
+        // Tagged nodes stand on their own; untagged ones can be shared.
+        if (!tags.length) {
+          created[coordinateKey] = id;
+        }
+        return id;
+      }
+
+      features.forEach(function(feature) {
+        feature.points.forEach(function(coordinate) {
+          node(coordinate, feature.tags, false);
+        });
+        feature.lines.forEach(function(line) {
+          var last = line.length - 1;
+          change.create.way.push({
+            id: String(--wayId),
+            tag: feature.tags,
+            nd: line.map(function(coordinate, i) {
+              return { ref: String(node(coordinate, [], i === 0 || i === last)) };
+            })
+          });
+        });
+      });
+
+      return change;
+    });
+  });
+};
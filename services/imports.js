@@ -0,0 +1,172 @@
+'use strict';
+var fs = require('fs');
+var Promise = require('bluebird');
+
+var Changeset = require('../models/changeset.js');
+var log = require('./log.js');
+var upload = require('./upload.js');
+var readStream = require('./xml-stream.js');
+
+var stat = Promise.promisify(fs.stat);
+var unlink = Promise.promisify(fs.unlink);
+
+/*
+ * Background imports of osmChange files.
+ *
+ * Jobs are kept in memory and processed one at a time, in the order they
+ * were queued, so large imports don't compete with each other for the
+ * database. Jobs are forgotten when the server restarts, and once they are
+ * over, they are only kept for a while, and only so many of them.
+ */
+
+// How long finished and failed jobs are kept, in milliseconds.
+var RETENTION = 24 * 60 * 60 * 1000;
+// How many finished and failed jobs are kept at most.
+var MAX_FINISHED = 100;
+
+var jobs = {};
+var queue = [];
+var running = false;
+var lastId = 0;
+
+// The job as reported to clients, without its file.
+function report(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    changeset: job.changeset,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    progress: job.size ? job.read / job.size : 0,
+    phase: job.phase,
+    timings: job.timings,
+    result: job.result,
+    errors: job.errors
+  };
+}
+
+function run(job) {
+  job.status = 'running';
+  job.started_at = new Date();
+
+  return stat(job.path)
+  .then(function(stats) {
+    job.size = stats.size;
+    return Promise.resolve(job.changeset || Changeset.create(99, 'openroads'));
+  })
+  .then(function(changesetID) {
+    job.changeset = parseInt(changesetID, 10);
+
+    // The file is read and saved in batches, so it doesn't have to fit in
+    // memory. Parsing a batch is timed from the end of the previous one.
+    var time = new Date();
+    job.phase = 'parse';
+
+    return upload(job.changeset, function(save) {
+      var file = fs.createReadStream(job.path);
+      return readStream(file, function(batch) {
+        job.timings.parse = (job.timings.parse || 0) + (new Date() - time) / 1000;
+        return save(batch).then(function() {
+          job.read = file.bytesRead;
+          time = new Date();
+        });
+      })
+      .then(function() {
+        job.phase = 'changeset';
+      })
+      .finally(function() {
+        file.destroy();
+      });
+    }, {
+      onPhase: function(name, seconds) {
+        job.timings[name] = (job.timings[name] || 0) + seconds;
+        // After a batch is saved, the next one is parsed.
+        var next = upload.phases[upload.phases.indexOf(name) + 1];
+        job.phase = next === 'changeset' ? 'parse' : next || null;
+      }
+    });
+  })
+  .then(function(result) {
+    job.status = 'done';
+    job.read = job.size;
+    job.result = result;
+  })
+  .catch(function(err) {
+    log.error('Import', job.id, 'fails', err);
+    job.status = 'failed';
+    job.errors.push(err.isBoom ? err.output.payload : { message: err.message });
+  })
+  .finally(function() {
+    job.finished_at = new Date();
+    job.phase = null;
+    return unlink(job.path).catch(function(err) {
+      log.error('Removing the file of import', job.id, err);
+    });
+  });
+}
+
+// Forget the jobs that are over, once they are older than RETENTION or
+// there are more than MAX_FINISHED of them, oldest first.
+function evict() {
+  var now = new Date();
+  var finished = Object.keys(jobs).map(function(id) {
+    return jobs[id];
+  }).filter(function(job) {
+    return job.finished_at !== null;
+  }).sort(function(a, b) {
+    return a.finished_at - b.finished_at;
+  });
+  finished.forEach(function(job, i) {
+    if (now - job.finished_at > RETENTION || finished.length - i > MAX_FINISHED) {
+      delete jobs[job.id];
+    }
+  });
+}
+
+// Process queued jobs until there are none left.
+function next() {
+  if (running || !queue.length) {
+    return;
+  }
+  running = true;
+  run(queue.shift()).then(function() {
+    running = false;
+    evict();
+    next();
+  });
+}
+
+module.exports = {
+  // Queue the import of the osmChange file at `path`, which is removed once
+  // the import is over. Without a changeset id, a new changeset is opened.
+  // Returns the queued job.
+  add: function(path, changesetID) {
+    var job = {
+      id: ++lastId,
+      status: 'queued',
+      path: path,
+      changeset: changesetID || null,
+      created_at: new Date(),
+      started_at: null,
+      finished_at: null,
+      size: 0,
+      read: 0,
+      phase: null,
+      timings: {},
+      result: null,
+      errors: []
+    };
+    jobs[job.id] = job;
+    queue.push(job);
+    process.nextTick(next);
+    return report(job);
+  },
+
+  // Returns the job with the given id, or undefined if there is no such job
+  // or it was forgotten.
+  get: function(id) {
+    evict();
+    return jobs[id] && report(jobs[id]);
+  }
+};
@@ -0,0 +1,34 @@
+'use strict';
+var Changeset = require('../models/changeset.js');
+
+/*
+ * Open a changeset for the default user and pass the upload on to `upload`,
+ * a route handler such as that of /changeset/:id/upload, with the id of the
+ * new changeset in its params.
+ *
+ * The changeset is only kept if something is saved to it: after a dry run
+ * or a failed upload, it is removed before the response is sent.
+ *
+ * Rejects if the changeset can't be opened.
+ */
+module.exports = function uploadToNewChangeset(upload, uploadParams, res) {
+  var query = uploadParams.query || {};
+  var dryRun = query.dryRun === true || query.dryRun === 'true';
+
+  return Changeset.create(99, 'openroads')
+  .then(function(id) {
+    uploadParams.params.changesetID = parseInt(id, 10);
+    upload(uploadParams, function(result) {
+      if (!dryRun && !(result && result.isBoom)) {
+        return res(result);
+      }
+      Changeset.destroy(id)
+      .catch(function(err) {
+        console.log(err);
+      })
+      .then(function() {
+        res(result);
+      });
+    });
+  });
+};
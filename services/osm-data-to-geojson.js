@@ -4,11 +4,18 @@
 var _ = require('lodash');
 var ratio = require('../services/ratio.js');
 
+function toProperties(tags) {
+  return _.zipObject((tags || []).map(function (t) {
+    return [t.k, t.v];
+  }));
+}
+
 /*
  * Takes the given way/waynode/node models and returns a FeatureCollection
  * of LineString features--one for each way.
  *
- * `data` is as yielded by ../services/query-ways.js
+ * `data` is as yielded by ../services/query-ways.js. It can also have
+ * `points`, nodes with their tags that become Point features.
  */
 module.exports = function toGeoJSON(data, geometryType) {
   geometryType = geometryType || 'LineString';
@@ -22,13 +29,9 @@ module.exports = function toGeoJSON(data, geometryType) {
       return [node.longitude / ratio, node.latitude / ratio];
     });
 
-    var properties = _.zipObject(way.tags.map(function (t) {
-      return [t.k, t.v];
-    }));
-
     return {
       type: 'Feature',
-      properties: properties,
+      properties: toProperties(way.tags),
       geometry: {
         type: geometryType,
         coordinates: geometryType == 'Polygon' ? [nodeCoordinates] : nodeCoordinates
@@ -36,9 +39,20 @@ module.exports = function toGeoJSON(data, geometryType) {
     };
   });
 
+  var pointFeatures = (data.points || []).map(function (node) {
+    return {
+      type: 'Feature',
+      properties: toProperties(node.tags),
+      geometry: {
+        type: 'Point',
+        coordinates: [node.longitude / ratio, node.latitude / ratio]
+      }
+    };
+  });
+
   return {
     type: 'FeatureCollection',
     properties: {},
-    features: wayFeatures
+    features: pointFeatures.concat(wayFeatures)
   };
 };
@@ -0,0 +1,60 @@
+'use strict';
+var _ = require('lodash');
+
+var RATIO = require('./ratio.js');
+
+/*
+ * Formats nodes, ways and relations, as they come out of the database with
+ * their tags, ways nodes and members, for the JSON read endpoints.
+ * Every entity has the same attributes, and its tags as an object.
+ */
+
+function attributes(type, entity) {
+  return {
+    type: type,
+    id: +entity.id,
+    visible: entity.visible,
+    version: +entity.version,
+    changeset: +entity.changeset_id,
+    timestamp: entity.timestamp,
+    tags: _.zipObject((entity.tags || []).map(function(tag) {
+      return [tag.k, tag.v];
+    }))
+  };
+}
+
+module.exports = {
+  // Nodes have their coordinates in degrees.
+  node: function(node) {
+    return _.extend(attributes('node', node), {
+      lat: node.latitude / RATIO,
+      lon: node.longitude / RATIO
+    });
+  },
+
+  // Ways list the ids of their nodes, in order.
+  way: function(way) {
+    return _.extend(attributes('way', way), {
+      nodes: _.sortBy(way.nodes || [], function(wayNode) {
+        return +wayNode.sequence_id;
+      }).map(function(wayNode) {
+        return +wayNode.node_id;
+      })
+    });
+  },
+
+  // Relations list their members, in order.
+  relation: function(relation) {
+    return _.extend(attributes('relation', relation), {
+      members: _.sortBy(relation.members || [], function(member) {
+        return +member.sequence_id;
+      }).map(function(member) {
+        return {
+          type: member.member_type.toLowerCase(),
+          ref: +member.member_id,
+          role: (member.member_role || '').trim()
+        };
+      })
+    });
+  }
+};
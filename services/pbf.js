@@ -0,0 +1,441 @@
+'use strict';
+var zlib = require('zlib');
+var _ = require('lodash');
+var Boom = require('boom');
+var Pbf = require('pbf');
+var Promise = require('bluebird');
+
+/*
+ * Reads and writes the OSM PBF format.
+ * http://wiki.openstreetmap.org/wiki/PBF_Format
+ *
+ * Coordinates are stored scaled by RATIO (1e7), which is the default
+ * granularity of PBF files (100 nanodegrees), so they are copied as is.
+ */
+
+var GRANULARITY = 100;
+var DATE_GRANULARITY = 1000;
+var BLOCK_SIZE = 8000;
+var MEMBER_TYPES = ['node', 'way', 'relation'];
+var SUPPORTED_FEATURES = ['OsmSchema-V0.6', 'DenseNodes'];
+
+// Split a file into its blobs, as {type, blob} objects. Blobs are inflated
+// one at a time, when they are read.
+function readBlobs(buffer) {
+  var blobs = [];
+  var pos = 0;
+  while (pos < buffer.length) {
+    if (pos + 4 > buffer.length) {
+      throw Boom.badRequest('Truncated PBF file');
+    }
+    var headerLength = buffer.readInt32BE(pos);
+    pos += 4;
+    var header = new Pbf(buffer.slice(pos, pos + headerLength)).readFields(function(tag, header, pbf) {
+      if (tag === 1) header.type = pbf.readString();
+      else if (tag === 3) header.datasize = pbf.readVarint();
+    }, { type: null, datasize: 0 });
+    pos += headerLength;
+
+    var blob = new Pbf(buffer.slice(pos, pos + header.datasize)).readFields(function(tag, blob, pbf) {
+      if (tag === 1) blob.raw = pbf.readBytes();
+      else if (tag === 3) blob.zlib = pbf.readBytes();
+    }, {});
+    pos += header.datasize;
+    if (pos > buffer.length) {
+      throw Boom.badRequest('Truncated PBF file');
+    }
+    blobs.push({ type: header.type, blob: blob });
+  }
+  return blobs;
+}
+
+function inflate(blob) {
+  if (blob.raw) {
+    return new Buffer(blob.raw);
+  }
+  if (blob.zlib) {
+    return zlib.inflateSync(new Buffer(blob.zlib));
+  }
+  throw Boom.badRequest('Unsupported PBF compression');
+}
+
+function readHeader(data) {
+  var header = new Pbf(data).readFields(function(tag, header, pbf) {
+    if (tag === 4) header.required.push(pbf.readString());
+  }, { required: [] });
+  var unsupported = _.difference(header.required, SUPPORTED_FEATURES);
+  if (unsupported.length) {
+    throw Boom.badRequest('Unsupported PBF features: ' + unsupported.join(', '));
+  }
+}
+
+// Turn lists of string table indexes into tags.
+function tags(strings, keys, vals) {
+  return keys.map(function(key, i) {
+    return { k: strings[key], v: strings[vals[i]] };
+  });
+}
+
+// Ids in the file become placeholder ids, so the entities are created anew
+// and refer to each other. Placeholders are numbered per type in the order
+// ids are first seen, since the ids of a file can be negative too, as
+// editors write them for new entities.
+function Placeholders() {
+  this.ids = { node: {}, way: {}, relation: {} };
+  this.count = { node: 0, way: 0, relation: 0 };
+}
+
+Placeholders.prototype.get = function(type, id) {
+  var ids = this.ids[type];
+  if (!ids.hasOwnProperty(id)) {
+    ids[id] = String(-(++this.count[type]));
+  }
+  return ids[id];
+};
+
+// Read a PrimitiveBlock into lists of nodes, ways and relations,
+// in the same shape as XML.read.
+function readBlock(data, placeholders) {
+  var block = new Pbf(data).readFields(function(tag, block, pbf) {
+    if (tag === 1) {
+      pbf.readMessage(function(tag, strings, pbf) {
+        if (tag === 1) strings.push(pbf.readBytes());
+      }, block.strings);
+    }
+    else if (tag === 2) block.groups.push(pbf.readBytes());
+    else if (tag === 17) block.granularity = pbf.readVarint();
+    else if (tag === 19) block.latOffset = pbf.readVarint(true);
+    else if (tag === 20) block.lonOffset = pbf.readVarint(true);
+  }, { strings: [], groups: [], granularity: GRANULARITY, latOffset: 0, lonOffset: 0 });
+
+  var strings = block.strings.map(function(bytes) {
+    return new Buffer(bytes).toString('utf8');
+  });
+
+  // Coordinates in degrees.
+  function lat(value) {
+    return (block.latOffset + block.granularity * value) / 1e9;
+  }
+  function lon(value) {
+    return (block.lonOffset + block.granularity * value) / 1e9;
+  }
+
+  var result = { node: [], way: [], relation: [] };
+
+  block.groups.forEach(function(group) {
+    new Pbf(group).readFields(function(tag, result, pbf) {
+      if (tag === 1) {
+        var node = pbf.readMessage(function(tag, node, pbf) {
+          if (tag === 1) node.id = pbf.readSVarint();
+          else if (tag === 2) pbf.readPackedVarint(node.keys);
+          else if (tag === 3) pbf.readPackedVarint(node.vals);
+          else if (tag === 8) node.lat = pbf.readSVarint();
+          else if (tag === 9) node.lon = pbf.readSVarint();
+        }, { keys: [], vals: [] });
+        result.node.push({
+          id: placeholders.get('node', node.id),
+          lat: lat(node.lat),
+          lon: lon(node.lon),
+          tag: tags(strings, node.keys, node.vals)
+        });
+      }
+      else if (tag === 2) {
+        var dense = pbf.readMessage(function(tag, dense, pbf) {
+          if (tag === 1) pbf.readPackedSVarint(dense.ids);
+          else if (tag === 8) pbf.readPackedSVarint(dense.lats);
+          else if (tag === 9) pbf.readPackedSVarint(dense.lons);
+          else if (tag === 10) pbf.readPackedVarint(dense.keysVals);
+        }, { ids: [], lats: [], lons: [], keysVals: [] });
+
+        // Ids and coordinates are delta-encoded, and tags of all nodes are
+        // in a single list, with a 0 after the tags of each node.
+        var id = 0, latitude = 0, longitude = 0, j = 0;
+        for (var i = 0, ii = dense.ids.length; i < ii; ++i) {
+          id += dense.ids[i];
+          latitude += dense.lats[i];
+          longitude += dense.lons[i];
+          var nodeTags = [];
+          while (j < dense.keysVals.length && dense.keysVals[j] !== 0) {
+            nodeTags.push({ k: strings[dense.keysVals[j]], v: strings[dense.keysVals[j + 1]] });
+            j += 2;
+          }
+          j += 1;
+          result.node.push({
+            id: placeholders.get('node', id),
+            lat: lat(latitude),
+            lon: lon(longitude),
+            tag: nodeTags
+          });
+        }
+      }
+      else if (tag === 3) {
+        var way = pbf.readMessage(function(tag, way, pbf) {
+          if (tag === 1) way.id = pbf.readVarint(true);
+          else if (tag === 2) pbf.readPackedVarint(way.keys);
+          else if (tag === 3) pbf.readPackedVarint(way.vals);
+          else if (tag === 8) pbf.readPackedSVarint(way.refs);
+        }, { keys: [], vals: [], refs: [] });
+        var ref = 0;
+        result.way.push({
+          id: placeholders.get('way', way.id),
+          tag: tags(strings, way.keys, way.vals),
+          nd: way.refs.map(function(delta) {
+            ref += delta;
+            return { ref: placeholders.get('node', ref) };
+          })
+        });
+      }
+      else if (tag === 4) {
+        var relation = pbf.readMessage(function(tag, relation, pbf) {
+          if (tag === 1) relation.id = pbf.readVarint(true);
+          else if (tag === 2) pbf.readPackedVarint(relation.keys);
+          else if (tag === 3) pbf.readPackedVarint(relation.vals);
+          else if (tag === 8) pbf.readPackedVarint(relation.roles);
+          else if (tag === 9) pbf.readPackedSVarint(relation.memids);
+          else if (tag === 10) pbf.readPackedVarint(relation.types);
+        }, { keys: [], vals: [], roles: [], memids: [], types: [] });
+        var memid = 0;
+        result.relation.push({
+          id: placeholders.get('relation', relation.id),
+          tag: tags(strings, relation.keys, relation.vals),
+          member: relation.memids.map(function(delta, i) {
+            memid += delta;
+            var type = MEMBER_TYPES[relation.types[i]];
+            return {
+              type: type,
+              ref: placeholders.get(type, memid),
+              role: strings[relation.roles[i]]
+            };
+          })
+        });
+      }
+    }, result);
+  });
+
+  return result;
+}
+
+// Index of strings for a block. Index 0 is reserved as a delimiter.
+function StringTable() {
+  this.strings = [''];
+  this.index = {};
+}
+
+StringTable.prototype.get = function(string) {
+  string = String(string);
+  if (!this.index.hasOwnProperty(string)) {
+    this.index[string] = this.strings.length;
+    this.strings.push(string);
+  }
+  return this.index[string];
+};
+
+// Convert the differences between consecutive values, for delta encoding.
+function deltas(values) {
+  return values.map(function(value, i) {
+    return i === 0 ? value : value - values[i - 1];
+  });
+}
+
+function seconds(timestamp) {
+  return Math.round(new Date(timestamp).getTime() / DATE_GRANULARITY) || 0;
+}
+
+function writeInfo(entity, table) {
+  return function(obj, pbf) {
+    pbf.writeVarintField(1, parseInt(entity.version, 10) || 1);
+    pbf.writeVarintField(2, seconds(entity.timestamp));
+    pbf.writeVarintField(3, parseInt(entity.changeset_id, 10) || 0);
+    pbf.writeVarintField(4, parseInt(entity.uid, 10) || 1);
+    pbf.writeVarintField(5, table.get(entity.user || 'DevelopmentSeed'));
+  };
+}
+
+function writeTags(entity, table, pbf) {
+  var tags = entity.tags || [];
+  pbf.writePackedVarint(2, tags.map(function(tag) { return table.get(tag.k); }));
+  pbf.writePackedVarint(3, tags.map(function(tag) { return table.get(tag.v); }));
+}
+
+// Write a PrimitiveBlock with one group of nodes, ways or relations,
+// which are in the same shape as for XML.write.
+function writeBlock(type, entities) {
+  var table = new StringTable();
+  var group = new Pbf();
+
+  if (type === 'node') {
+    group.writeMessage(2, function(obj, pbf) {
+      var keysVals = [];
+      entities.forEach(function(node) {
+        (node.tags || []).forEach(function(tag) {
+          keysVals.push(table.get(tag.k), table.get(tag.v));
+        });
+        keysVals.push(0);
+      });
+      pbf.writePackedSVarint(1, deltas(_.pluck(entities, 'id').map(Number)));
+      pbf.writeMessage(5, function(obj, pbf) {
+        pbf.writePackedVarint(1, entities.map(function(node) {
+          return parseInt(node.version, 10) || 1;
+        }));
+        pbf.writePackedSVarint(2, deltas(entities.map(function(node) {
+          return seconds(node.timestamp);
+        })));
+        pbf.writePackedSVarint(3, deltas(entities.map(function(node) {
+          return parseInt(node.changeset_id, 10) || 0;
+        })));
+        pbf.writePackedSVarint(4, deltas(entities.map(function(node) {
+          return parseInt(node.uid, 10) || 1;
+        })));
+        pbf.writePackedSVarint(5, deltas(entities.map(function(node) {
+          return table.get(node.user || 'DevelopmentSeed');
+        })));
+      });
+      pbf.writePackedSVarint(8, deltas(_.pluck(entities, 'latitude').map(Number)));
+      pbf.writePackedSVarint(9, deltas(_.pluck(entities, 'longitude').map(Number)));
+      if (keysVals.length > entities.length) {
+        pbf.writePackedVarint(10, keysVals);
+      }
+    });
+  }
+  else if (type === 'way') {
+    entities.forEach(function(way) {
+      group.writeMessage(3, function(obj, pbf) {
+        pbf.writeVarintField(1, Number(way.id));
+        writeTags(way, table, pbf);
+        pbf.writeMessage(4, writeInfo(way, table));
+        var refs = _.sortBy(way.nodes || [], function(wayNode) {
+          return parseInt(wayNode.sequence_id, 10);
+        }).map(function(wayNode) {
+          return Number(wayNode.node_id);
+        });
+        pbf.writePackedSVarint(8, deltas(refs));
+      });
+    });
+  }
+  else {
+    entities.forEach(function(relation) {
+      group.writeMessage(4, function(obj, pbf) {
+        var members = _.sortBy(relation.members || [], function(member) {
+          return parseInt(member.sequence_id, 10);
+        });
+        pbf.writeVarintField(1, Number(relation.id));
+        writeTags(relation, table, pbf);
+        pbf.writeMessage(4, writeInfo(relation, table));
+        pbf.writePackedVarint(8, members.map(function(member) {
+          return table.get((member.member_role || '').trim());
+        }));
+        pbf.writePackedSVarint(9, deltas(members.map(function(member) {
+          return Number(member.member_id);
+        })));
+        pbf.writePackedVarint(10, members.map(function(member) {
+          return MEMBER_TYPES.indexOf(member.member_type.toLowerCase());
+        }));
+      });
+    });
+  }
+
+  var block = new Pbf();
+  block.writeMessage(1, function(strings, pbf) {
+    strings.forEach(function(string) {
+      pbf.writeBytesField(1, new Buffer(string, 'utf8'));
+    });
+  }, table.strings);
+  block.writeBytesField(2, group.finish());
+  block.writeVarintField(17, GRANULARITY);
+  block.writeVarintField(18, DATE_GRANULARITY);
+  return block.finish();
+}
+
+function writeHeader(bbox) {
+  var header = new Pbf();
+  if (bbox) {
+    header.writeMessage(1, function(obj, pbf) {
+      // Nanodegrees.
+      pbf.writeSVarintField(1, Math.round(bbox.minLon * 1e9));
+      pbf.writeSVarintField(2, Math.round(bbox.maxLon * 1e9));
+      pbf.writeSVarintField(3, Math.round(bbox.maxLat * 1e9));
+      pbf.writeSVarintField(4, Math.round(bbox.minLat * 1e9));
+    });
+  }
+  SUPPORTED_FEATURES.forEach(function(feature) {
+    header.writeStringField(4, feature);
+  });
+  header.writeStringField(16, 'DevelopmentSeed');
+  return header.finish();
+}
+
+// Frame a block as a compressed blob with its header.
+function blob(type, data) {
+  var body = new Pbf();
+  body.writeVarintField(2, data.length);
+  body.writeBytesField(3, zlib.deflateSync(new Buffer(data)));
+  body = new Buffer(body.finish());
+
+  var header = new Pbf();
+  header.writeStringField(1, type);
+  header.writeVarintField(3, body.length);
+  header = new Buffer(header.finish());
+
+  var length = new Buffer(4);
+  length.writeInt32BE(header.length, 0);
+  return Buffer.concat([length, header, body]);
+}
+
+module.exports = {
+  /*
+   * Read an OSM PBF file in a buffer, handing each block of entities to
+   * `onBatch` as the create block of an osmChange object. Ids in the file
+   * are turned into placeholder ids, so every entity is created anew.
+   * `onBatch` can return a promise, which is waited for before the next
+   * block is read.
+   *
+   * Rejects with a 400 if the file can't be read.
+   */
+  read: function(buffer, onBatch) {
+    var placeholders = new Placeholders();
+    return Promise.try(function() {
+      try {
+        return readBlobs(buffer);
+      } catch (e) {
+        throw e.isBoom ? e : Boom.badRequest('Could not read PBF file');
+      }
+    })
+    .each(function(blob) {
+      if (blob.type === 'OSMHeader') {
+        return readHeader(inflate(blob.blob));
+      }
+      if (blob.type !== 'OSMData') {
+        return;
+      }
+      var entities;
+      try {
+        entities = readBlock(inflate(blob.blob), placeholders);
+      } catch (e) {
+        throw Boom.badRequest('Could not read PBF block');
+      }
+      var batch = { create: {}, modify: {}, 'delete': {} };
+      MEMBER_TYPES.forEach(function(type) {
+        if (entities[type].length) {
+          batch.create[type] = entities[type];
+        }
+      });
+      return onBatch(batch);
+    });
+  },
+
+  // Write entities, in the same shape as for XML.write, to a PBF file.
+  // Returns a buffer.
+  write: function(data) {
+    var blobs = [blob('OSMHeader', writeHeader(data.bbox))];
+    [['node', data.nodes], ['way', data.ways], ['relation', data.relations]]
+    .forEach(function(group) {
+      var entities = _.sortBy(group[1] || [], function(entity) {
+        return Number(entity.id);
+      });
+      for (var i = 0; i < entities.length; i += BLOCK_SIZE) {
+        blobs.push(blob('OSMData', writeBlock(group[0], entities.slice(i, i + BLOCK_SIZE))));
+      }
+    });
+    return Buffer.concat(blobs);
+  }
+};
@@ -0,0 +1,129 @@
+'use strict';
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var RATIO = require('./ratio.js');
+
+/*
+ * Spatial queries for databases with PostGIS, where current_ways has a `geom`
+ * column with the line of each way, in EPSG:4326. Set OR_POSTGIS=true to use
+ * them; without it, queries go through the quadtile index and clip in
+ * JavaScript. See the README to add the column to an existing database.
+ *
+ * The column is kept up to date in the upload transaction, for the ways that
+ * are created or modified and for the ways whose nodes moved.
+ */
+var enabled = process.env.OR_POSTGIS === 'true';
+
+// The line of each way, from its nodes in order.
+var wayLine = 'select ST_MakeLine(ST_SetSRID(ST_MakePoint(' +
+  'current_nodes.longitude::float / ' + RATIO + ', ' +
+  'current_nodes.latitude::float / ' + RATIO + '), 4326) ' +
+  'order by current_way_nodes.sequence_id) ' +
+  'from current_way_nodes join current_nodes on current_nodes.id = current_way_nodes.node_id ' +
+  'where current_way_nodes.way_id = current_ways.id';
+
+// Closed ways, such as MPAs, as polygons.
+var area = 'case when ST_IsClosed(geom) and ST_NPoints(geom) > 3 ' +
+  'then ST_MakePolygon(geom) else geom end';
+
+function integers(ids) {
+  return _.uniq(ids.map(function (id) {
+    return parseInt(id, 10);
+  })).filter(function (id) {
+    return id > 0;
+  });
+}
+
+/*
+ * Update the geometries of the ways that an upload batch changed. Runs in the
+ * upload transaction, after the nodes and ways are saved, so ids are those
+ * of the database.
+ */
+function updateGeometries(q) {
+  if (!enabled) {
+    return Promise.resolve();
+  }
+  var changeset = q.changeset;
+  var wayIds = integers(_.pluck((changeset.create.way || [])
+    .concat(changeset.modify.way || []), 'id'));
+  var nodeIds = integers(_.pluck(changeset.modify.node || [], 'id'));
+  if (!wayIds.length && !nodeIds.length) {
+    return Promise.resolve();
+  }
+
+  var where = [];
+  if (wayIds.length) {
+    where.push('id in (' + wayIds.join(',') + ')');
+  }
+  if (nodeIds.length) {
+    where.push('id in (select way_id from current_way_nodes ' +
+      'where node_id in (' + nodeIds.join(',') + '))');
+  }
+  return q.transaction.raw('update current_ways set geom = (' + wayLine + ') ' +
+    'where ' + where.join(' or '));
+}
+
+// Ids of the visible ways that cross the bounding box, as a query.
+function waysInBbox(knex, bbox) {
+  return knex('current_ways')
+    .where('visible', true)
+    .whereRaw('ST_Intersects(geom, ST_MakeEnvelope(?, ?, ?, ?, 4326))',
+      [bbox.minLon, bbox.minLat, bbox.maxLon, bbox.maxLat])
+    .select('id');
+}
+
+/*
+ * The visible ways that cross a GeoJSON geometry, clipped to it. Resolves
+ * with their ids and their clipped geometries, as GeoJSON LineStrings or
+ * MultiLineStrings.
+ */
+function waysInPolygon(knex, geometry) {
+  return knex.raw('select id, ST_AsGeoJSON(ST_CollectionExtract(' +
+    'ST_Intersection(current_ways.geom, boundary.geom), 2)) as geometry ' +
+    'from current_ways, (select ST_SetSRID(ST_GeomFromGeoJSON(?), 4326) as geom) as boundary ' +
+    'where current_ways.visible and ST_Intersects(current_ways.geom, boundary.geom)',
+    [JSON.stringify(geometry)])
+  .then(function (resp) {
+    return resp.rows.map(function (row) {
+      return { id: row.id, geometry: JSON.parse(row.geometry) };
+    }).filter(function (row) {
+      return row.geometry.coordinates.length;
+    });
+  });
+}
+
+/*
+ * Ids of the visible ways with the given tag, and their distance in
+ * kilometers to the point, nearest first. `options` can have:
+ * - radius: only the ways within this many kilometers of the point. With
+ *   0, only the areas that contain it.
+ * - limit: only this many ways.
+ */
+function nearestAreas(knex, tag, coords, options) {
+  options = options || {};
+  var point = 'ST_SetSRID(ST_MakePoint(?, ?), 4326)::geography';
+  var query = knex('current_ways')
+    .join('current_way_tags', 'current_ways.id', 'current_way_tags.way_id')
+    .where('current_ways.visible', true)
+    .where({ 'current_way_tags.k': tag.k, 'current_way_tags.v': tag.v })
+    .select('current_ways.id',
+      knex.raw('ST_Distance((' + area + ')::geography, ' + point + ') / 1000 as distance', coords))
+    .orderBy('distance');
+  if (options.radius !== undefined && options.radius !== null) {
+    query.whereRaw('ST_DWithin((' + area + ')::geography, ' + point + ', ?)',
+      coords.concat(options.radius * 1000));
+  }
+  if (options.limit) {
+    query.limit(options.limit);
+  }
+  return query;
+}
+
+module.exports = {
+  enabled: enabled,
+  updateGeometries: updateGeometries,
+  waysInBbox: waysInBbox,
+  waysInPolygon: waysInPolygon,
+  nearestAreas: nearestAreas
+};
@@ -25,19 +25,44 @@ module.exports = {
     return Math.round((lat + 90.0) * 65535.0 / 180.0);
   },
 
-  tilesForArea: function(bbox) {
+  // List the tiles of a bounding box as [first, last] ranges, sorted and
+  // without overlaps, like sql_for_area does in openstreetmap-website.
+  // Tiles are in Z-order, so every square cell of the quadtree is a range
+  // of tiles: the cells inside the bounding box are found by splitting the
+  // cells that cross its edges, and adjacent ones are merged.
+  tileRangesForArea: function(bbox) {
     var minx = this.lon2x(bbox.minLon);
     var maxx = this.lon2x(bbox.maxLon);
     var miny = this.lat2y(bbox.minLat);
     var maxy = this.lat2y(bbox.maxLat);
     var xy2tile = this.xy2tile;
+    var ranges = [];
 
-    var tiles = [];
-    for (var x = minx; x <= maxx; x++) {
-      for (var y = miny; y <= maxy; y++) {
-        tiles.push(xy2tile(x, y));
+    function visit(x, y, size) {
+      if (x > maxx || x + size - 1 < minx || y > maxy || y + size - 1 < miny) {
+        return;
       }
+      if (x >= minx && x + size - 1 <= maxx && y >= miny && y + size - 1 <= maxy) {
+        var first = xy2tile(x, y);
+        var last = first + size * size - 1;
+        var previous = ranges[ranges.length - 1];
+        if (previous && previous[1] + 1 === first) {
+          previous[1] = last;
+        }
+        else {
+          ranges.push([first, last]);
+        }
+        return;
+      }
+      // Children are visited in tile order: x is the higher bit.
+      var half = size / 2;
+      visit(x, y, half);
+      visit(x, y + half, half);
+      visit(x + half, y, half);
+      visit(x + half, y + half, half);
     }
-    return tiles;
+
+    visit(0, 0, 65536);
+    return ranges;
   }
 }
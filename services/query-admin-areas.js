@@ -0,0 +1,57 @@
+'use strict';
+var _ = require('lodash');
+var extent = require('turf-extent');
+
+var knex = require('../connection.js');
+
+// Admin areas of each type, with their extent. Boundaries don't change with
+// uploads, so they are read once.
+var areas = {};
+
+function load(type) {
+  if (!areas[type]) {
+    areas[type] = knex('admin_boundaries')
+    .where('type', type)
+    .select('id', 'name', 'type', 'geo')
+    .then(function (rows) {
+      return rows.filter(function (row) {
+        return row.geo && row.geo.geometry;
+      }).map(function (row) {
+        return {
+          id: +row.id,
+          name: row.name,
+          type: row.type,
+          geometry: row.geo.geometry,
+          extent: extent(row.geo)
+        };
+      });
+    })
+    .catch(function (err) {
+      delete areas[type];
+      throw err;
+    });
+  }
+  return areas[type];
+}
+
+/*
+ * Query the admin areas of a type that overlap a bounding box. Resolves
+ * with a GeoJSON FeatureCollection of their boundaries, with their id, name
+ * and type as properties.
+ */
+module.exports = function queryAdminAreas(type, bbox) {
+  return load(type).then(function (areas) {
+    var features = areas.filter(function (area) {
+      return area.extent[0] <= bbox.maxLon && area.extent[2] >= bbox.minLon &&
+        area.extent[1] <= bbox.maxLat && area.extent[3] >= bbox.minLat;
+    }).map(function (area) {
+      return {
+        type: 'Feature',
+        id: area.id,
+        properties: _.pick(area, 'id', 'name', 'type'),
+        geometry: area.geometry
+      };
+    });
+    return { type: 'FeatureCollection', features: features };
+  });
+};
@@ -1,26 +1,138 @@
 'use strict';
+var _ = require('lodash');
 var Promise = require('bluebird');
 var Boom = require('boom');
 var QuadTile = require('../services/quad-tile.js');
+var Node = require('../models/node-model.js');
+var postgis = require('./postgis.js');
+var queryRelations = require('./query-relations.js');
+var RATIO = require('./ratio.js');
 var queryWays = require('./query-ways.js');
 
-module.exports = function queryBbox(knex, bbox) {
-  // Calculate the tiles within this bounding box.
-  // See services/QuadTile.js.
-  var tiles = QuadTile.tilesForArea(bbox);
+// Ids of the visible relations that have any of the given members, as a
+// query. `type` is the capitalized member type, `ids` a list or a query.
+function parentRelations(knex, type, ids) {
+  return knex('current_relation_members')
+    .join('current_relations', 'current_relation_members.relation_id', 'current_relations.id')
+    .where('current_relations.visible', true)
+    .andWhere('current_relation_members.member_type', type)
+    .whereIn('current_relation_members.member_id', ids)
+    .distinct('current_relation_members.relation_id')
+    .select();
+}
+
+// The visible nodes in a bounding box, as a query. They are found with the
+// quadtile index, and their coordinates leave out the nodes that are in the
+// same tiles, but outside of the bounding box. See services/quad-tile.js.
+function containedNodes(knex, bbox) {
+  var ranges = QuadTile.tileRangesForArea(bbox);
+  return knex('current_nodes')
+    .where(function () {
+      var query = this;
+      var single = [];
+      ranges.forEach(function (range) {
+        if (range[0] === range[1]) {
+          single.push(range[0]);
+        }
+        else {
+          query.orWhereBetween('tile', range);
+        }
+      });
+      if (single.length) {
+        query.orWhereIn('tile', single);
+      }
+    })
+    .whereBetween('latitude', [bbox.minLat * RATIO | 0, bbox.maxLat * RATIO | 0])
+    .whereBetween('longitude', [bbox.minLon * RATIO | 0, bbox.maxLon * RATIO | 0])
+    .where('visible', true);
+}
 
+// Ids of the visible ways that have a node in a bounding box, as a query.
+function containedWayIds(knex, bbox) {
+  // With PostGIS, ways that cross the bounding box without a node in it
+  // are found as well.
+  if (postgis.enabled) {
+    return postgis.waysInBbox(knex, bbox);
+  }
+  return knex('current_way_nodes')
+    .join('current_ways', 'current_way_nodes.way_id', 'current_ways.id')
+    .where('current_ways.visible', true)
+    .whereIn('current_way_nodes.node_id', containedNodes(knex, bbox).select('id'))
+    .distinct('current_way_nodes.way_id')
+    .select();
+}
+
+/*
+ * Query what's in a bounding box, following the rules of the OSM map call:
+ * - every node in the bounding box,
+ * - every way that uses one of them, with all its nodes, even those
+ *   outside the bounding box,
+ * - every relation that has one of those nodes or ways as a member,
+ * - every relation that has one of those relations as a member.
+ * Relations come with all their members, but the members that are not
+ * in the bounding box are not queried.
+ *
+ * Resolves with the nodes, ways and relations, with their tags attached,
+ * and with `points`, the tagged nodes in the bounding box that are not on
+ * any of the ways, such as bridges or kilometer posts.
+ */
+module.exports = function queryBbox(knex, bbox) {
   if(bbox.error) return Promise.reject(Boom.badRequest(bbox.error));
 
-  // Find the nodes in the bounding box using the quadtile index.
-  var containedNodes = knex('current_nodes')
-    .whereIn('tile', tiles)
-    .where('visible',true)
-    .select('id');
+  var relationIds = Promise.all([
+    parentRelations(knex, 'Node', containedNodes(knex, bbox).select('id')),
+    parentRelations(knex, 'Way', containedWayIds(knex, bbox))
+  ])
+  .then(function (result) {
+    var ids = _(result).flatten().pluck('relation_id').uniq().value();
+    if (!ids.length) {
+      return ids;
+    }
+    return parentRelations(knex, 'Relation', ids).then(function (parents) {
+      return _.uniq(ids.concat(_.pluck(parents, 'relation_id')));
+    });
+  });
 
-  var containedWayIds = knex('current_way_nodes')
-    .whereIn('node_id', containedNodes)
-    .select('way_id');
+  return Promise.all([
+    queryWays(knex, containedWayIds(knex, bbox)),
+    containedNodes(knex, bbox).select(),
+    knex('current_node_tags').whereIn('node_id', containedNodes(knex, bbox).select('id')),
+    relationIds.then(function (ids) {
+      return queryRelations(knex, ids, true);
+    })
+  ])
+  .then(function (results) {
+    var result = results[0];
 
-  return queryWays(knex, containedWayIds);
+    // Nodes in the bounding box are often also nodes of the ways.
+    var onWays = {};
+    result.nodes.forEach(function (node) {
+      onWays[node.id] = true;
+    });
+    var standalone = results[1].filter(function (node) {
+      return !onWays[node.id];
+    });
+
+    result.nodes = result.nodes.concat(standalone);
+    result.nodetags = _.uniq(result.nodetags.concat(results[2]), function (tag) {
+      return tag.node_id + '=' + tag.k;
+    });
+    Node.withTags(result.nodes, result.nodetags, 'node_id');
+
+    result.points = standalone.filter(function (node) {
+      return node.tags && node.tags.length;
+    });
+    result.relations = results[3];
+    return result;
+  });
 };
 
+/*
+ * Query only the ways in a bounding box, with their nodes and tags, for
+ * when the standalone nodes and the relations aren't needed, as in vector
+ * tiles. Resolves with the nodes and ways.
+ */
+module.exports.ways = function queryBboxWays(knex, bbox) {
+  if(bbox.error) return Promise.reject(Boom.badRequest(bbox.error));
+  return queryWays(knex, containedWayIds(knex, bbox));
+};
@@ -0,0 +1,90 @@
+'use strict';
+var _ = require('lodash');
+
+var RATIO = require('./ratio.js');
+
+/*
+ * Query changesets, most recent first, and attach their tags.
+ *
+ * `filters` can have any of:
+ * - id: id of the changeset
+ * - uid: id of the user that made the changesets
+ * - displayName: name of the user that made the changesets
+ * - bbox: changesets whose bounding box intersects this one
+ * - from: changesets that closed after this date
+ * - to: changesets created before this date
+ * - open: if true, only open changesets; if false, only closed ones
+ * - limit: maximum number of changesets (100 by default)
+ *
+ * Yields a list of changesets with their bounding box in degrees.
+ */
+module.exports = function queryChangesets(knex, filters) {
+  var now = new Date();
+  var q = knex('changesets')
+    .leftJoin('users', 'changesets.user_id', 'users.id')
+    .select('changesets.*', 'users.display_name')
+    .orderBy('changesets.created_at', 'desc')
+    .limit(filters.limit || 100);
+
+  if (filters.id) {
+    q = q.where('changesets.id', filters.id);
+  }
+  if (filters.uid) {
+    q = q.where('changesets.user_id', filters.uid);
+  }
+  if (filters.displayName) {
+    q = q.where('users.display_name', filters.displayName);
+  }
+  if (filters.bbox) {
+    q = q.where('changesets.min_lon', '<=', filters.bbox.maxLon * RATIO | 0)
+      .andWhere('changesets.max_lon', '>=', filters.bbox.minLon * RATIO | 0)
+      .andWhere('changesets.min_lat', '<=', filters.bbox.maxLat * RATIO | 0)
+      .andWhere('changesets.max_lat', '>=', filters.bbox.minLat * RATIO | 0);
+  }
+  if (filters.from) {
+    q = q.where('changesets.closed_at', '>', filters.from);
+  }
+  if (filters.to) {
+    q = q.where('changesets.created_at', '<', filters.to);
+  }
+  if (filters.open === true) {
+    q = q.where('changesets.closed_at', '>', now);
+  }
+  else if (filters.open === false) {
+    q = q.where('changesets.closed_at', '<=', now);
+  }
+
+  return q.then(function(changesets) {
+    var ids = _.pluck(changesets, 'id');
+    if (!ids.length) {
+      return [];
+    }
+    return knex('changeset_tags')
+    .whereIn('changeset_id', ids)
+    .then(function(tags) {
+      return changesets.map(function(changeset) {
+        var hasBbox = changeset.min_lon !== null && changeset.min_lat !== null;
+        return {
+          id: changeset.id,
+          user_id: changeset.user_id,
+          user: changeset.display_name,
+          created_at: changeset.created_at,
+          closed_at: changeset.closed_at,
+          open: new Date(changeset.closed_at) > now,
+          bbox: hasBbox ? [
+            changeset.min_lon / RATIO,
+            changeset.min_lat / RATIO,
+            changeset.max_lon / RATIO,
+            changeset.max_lat / RATIO
+          ] : null,
+          num_changes: changeset.num_changes,
+          tags: _.zipObject(tags.filter(function(tag) {
+            return tag.changeset_id === changeset.id;
+          }).map(function(tag) {
+            return [tag.k, tag.v];
+          }))
+        };
+      });
+    });
+  });
+};
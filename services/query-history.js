@@ -0,0 +1,121 @@
+'use strict';
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+// History tables for each entity type, and the column that holds the id
+// of the entity in them.
+var tables = {
+  node: {
+    entity: 'nodes',
+    key: 'node_id',
+    tags: 'node_tags'
+  },
+  way: {
+    entity: 'ways',
+    key: 'way_id',
+    tags: 'way_tags',
+    children: 'way_nodes',
+    attach: 'nodes'
+  },
+  relation: {
+    entity: 'relations',
+    key: 'relation_id',
+    tags: 'relation_tags',
+    children: 'relation_members',
+    attach: 'members'
+  }
+};
+
+// Attach tags and way nodes or members to the matching version of each
+// history entity.
+function attach(type, entities, tags, children) {
+  var table = tables[type];
+  function sameVersion(entity) {
+    return function(row) {
+      return row[table.key] === entity[table.key] &&
+        +row.version === +entity.version;
+    };
+  }
+
+  return entities.map(function(entity) {
+    entity.id = entity[table.key];
+    entity.tags = tags.filter(sameVersion(entity));
+    if (table.attach) {
+      entity[table.attach] = children.filter(sameVersion(entity));
+    }
+    return entity;
+  });
+}
+
+/*
+ * Query every version of the given entity, or only `version` if it's given,
+ * from the history tables. Yields a list of entities ordered by version,
+ * with their tags (and way nodes or members) attached, ready to be written
+ * with services/xml.js. Each entity also carries the name and id of the user
+ * that made that version.
+ */
+function entityHistory(knex, type, id, version) {
+  var table = tables[type];
+
+  function query(name) {
+    var q = knex(name).where(name + '.' + table.key, id);
+    if (version) {
+      q = q.andWhere(name + '.version', version);
+    }
+    return q;
+  }
+
+  return Promise.all([
+    query(table.entity)
+      .leftJoin('changesets', table.entity + '.changeset_id', 'changesets.id')
+      .leftJoin('users', 'changesets.user_id', 'users.id')
+      .select(table.entity + '.*', 'users.id as uid', 'users.display_name as user')
+      .orderBy(table.entity + '.version', 'asc'),
+    query(table.tags),
+    table.children ? query(table.children).orderBy('sequence_id', 'asc') : []
+  ])
+  .then(function(result) {
+    return attach(type, result[0], result[1], result[2]);
+  });
+}
+
+/*
+ * Query the versions of all nodes, ways and relations that were written by
+ * the given changeset. Yields an object keyed by entity type, each holding
+ * a list of entities like the ones yielded by `entityHistory`.
+ */
+function changesetHistory(knex, changesetId) {
+  return Promise.props(_.mapValues(tables, function(table, type) {
+
+    // Rows of a dependent table that belong to a version in this changeset.
+    function dependents(name) {
+      return knex(name)
+        .join(table.entity, function() {
+          this.on(table.entity + '.' + table.key, '=', name + '.' + table.key)
+            .andOn(table.entity + '.version', '=', name + '.version');
+        })
+        .where(table.entity + '.changeset_id', changesetId)
+        .select(name + '.*');
+    }
+
+    return Promise.all([
+      knex(table.entity)
+        .leftJoin('changesets', table.entity + '.changeset_id', 'changesets.id')
+        .leftJoin('users', 'changesets.user_id', 'users.id')
+        .where(table.entity + '.changeset_id', changesetId)
+        .select(table.entity + '.*', 'users.id as uid', 'users.display_name as user')
+        .orderBy(table.entity + '.' + table.key, 'asc')
+        .orderBy(table.entity + '.version', 'asc'),
+      dependents(table.tags),
+      table.children ? dependents(table.children).orderBy('sequence_id', 'asc') : []
+    ])
+    .then(function(result) {
+      return attach(type, result[0], result[1], result[2]);
+    });
+  }));
+}
+
+module.exports = {
+  entityHistory: entityHistory,
+  changesetHistory: changesetHistory
+};
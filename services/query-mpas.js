@@ -2,10 +2,40 @@
 var Boom = require('boom');
 var _ = require('lodash');
 
+var inside = require('turf-inside');
+var buffer = require('turf-buffer');
+var point = require('turf-point');
+
 var knex = require('../connection.js');
+var polyDistance = require('../services/polygon-distance.js');
+var postgis = require('../services/postgis.js');
 var queryWays = require('../services/query-ways.js');
 var toGeoJSON = require('../services/osm-data-to-geojson.js');
 
+var MPA_TAG = {
+  k: 'protect_type',
+  v: 'marine_area'
+};
+
+/**
+ * Queries the MPAs with the given ids and converts them to a feature
+ * collection.
+ *
+ * @return Promise
+ *   Param is the feature collection object.
+ */
+var getMpasById = function (ids) {
+  return queryWays(knex, ids)
+  .then(function (result) {
+    var geoJSON = toGeoJSON(result, 'Polygon');
+    // Keep the Id.
+    _.forEach(geoJSON.features, function (o, i) {
+      geoJSON.features[i].properties.id = +(result.ways[i].id);
+    });
+    return geoJSON;
+  });
+};
+
 /**
  * Queries all the MAPs and converts them to a feature collection.
  *
@@ -15,19 +45,97 @@ var toGeoJSON = require('../services/osm-data-to-geojson.js');
 var getMpas = function () {
   return knex('current_way_tags')
   .select('way_id')
-  .where({
-    k: 'protect_type',
-    v: 'marine_area'
-  })
+  .where(MPA_TAG)
   .then(function (resp) {
     var ids = _.pluck(resp, 'way_id');
-    return queryWays(knex, ids);
-  })
-  .then(function (result) {
-    var geoJSON = toGeoJSON(result, 'Polygon');
-    // Keep the Id.
-    _.forEach(geoJSON.features, function (o, i) {
-      geoJSON.features[i].properties.id = +(result.ways[i].id);
+    return getMpasById(ids);
+  });
+};
+
+/**
+ * Queries the MPAs ordered by proximity to the coordinates. Each feature
+ * has its distance in kilometers, 0 when it contains the coordinates.
+ *
+ * @param  array coords
+ *   The coordinates, as [lng, lat]
+ * @param  int limit
+ *   Number of MPAs to return, or null for all of them.
+ *
+ * @return Promise
+ *   Param is the feature collection object.
+ */
+var getMpasNear = function (coords, limit) {
+  if (postgis.enabled) {
+    return postgis.nearestAreas(knex, MPA_TAG, coords, { limit: limit })
+    .then(function (rows) {
+      return getMpasById(_.pluck(rows, 'id')).then(function (geoJSON) {
+        var distances = _.zipObject(_.pluck(rows, 'id'), _.pluck(rows, 'distance'));
+        geoJSON.features = _.sortBy(geoJSON.features.map(function (o) {
+          o.properties.distance = distances[o.properties.id];
+          return o;
+        }), function (o) {
+          return o.properties.distance;
+        });
+        return geoJSON;
+      });
+    });
+  }
+
+  var coordsPoint = point(coords);
+  return getMpas()
+  .then(function (geoJSON) {
+    var f = _.chain(geoJSON.features)
+      .map(function (o) {
+        // When inside the distance becomes 0.
+        if (inside(coordsPoint, o)) {
+          o.properties.distance = 0;
+        } else {
+          o.properties.distance = polyDistance(o, coordsPoint);
+        }
+        return o;
+      })
+      .sortBy(function (o) {
+        return o.properties.distance;
+      });
+
+    if (limit !== null) {
+      f = f.take(limit);
+    }
+
+    geoJSON.features = f.value();
+    return geoJSON;
+  });
+};
+
+/**
+ * Queries the MPAs that contain the coordinates.
+ *
+ * @param  array coords
+ *   The coordinates, as [lng, lat]
+ * @param  float radius
+ *   Radius in kilometers around the MPAs, or null.
+ *
+ * @return Promise
+ *   Param is the feature collection object.
+ */
+var getMpasContaining = function (coords, radius) {
+  var coordsPoint = point(coords);
+  var query = postgis.enabled ?
+    postgis.nearestAreas(knex, MPA_TAG, coords, { radius: radius || 0 })
+    .then(function (rows) {
+      return getMpasById(_.pluck(rows, 'id'));
+    }) :
+    getMpas();
+
+  return query.then(function (geoJSON) {
+    // Already filtered with PostGIS.
+    if (postgis.enabled) {
+      return geoJSON;
+    }
+    geoJSON.features = _.filter(geoJSON.features, function (f) {
+      // Buffer if radius is set.
+      f = radius ? buffer(f, radius, 'kilometers') : f;
+      return inside(coordsPoint, f);
     });
     return geoJSON;
   });
@@ -67,5 +175,7 @@ var getMpa = function (id) {
 
 module.exports = {
   getMpas: getMpas,
-  getMpa: getMpa
+  getMpa: getMpa,
+  getMpasNear: getMpasNear,
+  getMpasContaining: getMpasContaining
 };
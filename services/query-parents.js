@@ -0,0 +1,39 @@
+'use strict';
+
+/*
+ * Reverse lookups: the visible ways and relations that use an element.
+ * Each function returns a query that selects their ids, which can be
+ * passed to services/query-ways.js or services/query-relations.js.
+ */
+
+// Member types are stored capitalized.
+var MEMBER_TYPES = {
+  node: 'Node',
+  way: 'Way',
+  relation: 'Relation'
+};
+
+module.exports = {
+  // Ways that have the node.
+  ways: function(knex, nodeId) {
+    return knex('current_way_nodes')
+      .join('current_ways', 'current_way_nodes.way_id', 'current_ways.id')
+      .where('current_way_nodes.node_id', nodeId)
+      .andWhere('current_ways.visible', true)
+      .distinct('current_way_nodes.way_id')
+      .select();
+  },
+
+  // Relations that have the node, way or relation as a member.
+  relations: function(knex, type, id) {
+    return knex('current_relation_members')
+      .join('current_relations', 'current_relation_members.relation_id', 'current_relations.id')
+      .where('current_relation_members.member_type', MEMBER_TYPES[type])
+      .andWhere('current_relation_members.member_id', id)
+      .andWhere('current_relations.visible', true)
+      .distinct('current_relation_members.relation_id')
+      .select();
+  },
+
+  types: Object.keys(MEMBER_TYPES)
+};
@@ -1,21 +1,57 @@
 'use strict';
 
+var _ = require('lodash');
 var knex = require('../connection.js');
 var extent = require('turf-extent');
+var linestring = require('turf-linestring');
 var clip = require('./clip.js');
+var postgis = require('./postgis.js');
 var toGeoJSON = require('./osm-data-to-geojson.js');
 var queryBbox = require('./query-bbox.js');
 var BoundingBox = require('./bounding-box.js');
 
+// With PostGIS, find and clip the roads in the database, and only fetch
+// their tags.
+function queryPostGIS(boundary) {
+  return postgis.waysInPolygon(knex, boundary.geometry)
+  .then(function (ways) {
+    return knex('current_way_tags').whereIn('way_id', _.pluck(ways, 'id'))
+    .then(function (tags) {
+      tags = _.groupBy(tags, 'way_id');
+      // Roads that leave and enter the polygon again are split in several
+      // LineStrings, as with clip.js.
+      var features = _.flatten(ways.map(function (way) {
+        var properties = _.zipObject((tags[way.id] || []).map(function (t) {
+          return [t.k, t.v];
+        }));
+        var lines = way.geometry.type === 'MultiLineString' ?
+          way.geometry.coordinates : [way.geometry.coordinates];
+        return lines.map(function (coordinates) {
+          return linestring(coordinates, properties);
+        });
+      }));
+      return { type: 'FeatureCollection', features: features };
+    });
+  });
+}
+
 // Query the given GeoJSON Polygon Feature, returning a promise to be
 // fulfilled with a GeoJSON FeatureCollection representing the (clipped)
 // roads within that polygon.
 module.exports = function(boundary) {
+  if (postgis.enabled) {
+    return queryPostGIS(boundary).then(function (roads) {
+      roads.properties = boundary.properties;
+      return roads;
+    });
+  }
+
   var bbox = new BoundingBox.fromCoordinates(extent(boundary));
 
   return queryBbox(knex, bbox)
   .then(function (result) {
-    var roads = toGeoJSON(result);
+    // Only roads are clipped, not the points in the bounding box.
+    var roads = toGeoJSON({ nodes: result.nodes, ways: result.ways });
     roads.features = clip(roads.features, boundary);
     roads.properties = boundary.properties;
     return roads;
@@ -0,0 +1,34 @@
+'use strict';
+var Promise = require('bluebird');
+
+/*
+ * Query relations with their tags, and with their members if `full` is set.
+ * `relationIds` can be a list of ids or a query that selects them.
+ */
+module.exports = function queryRelations(knex, relationIds, full) {
+  return knex('current_relations')
+    .whereIn('id', relationIds)
+    .then(function (rels) {
+      return Promise.all([
+        knex('current_relation_tags')
+          .whereIn('relation_id', relationIds),
+        full ? knex('current_relation_members')
+          .whereIn('relation_id', relationIds) : []
+      ])
+      .then(function (result) {
+        var tags = result[0];
+        var members = result[1];
+        rels.forEach(function (rel) {
+          rel.tags = tags.filter(function (t) {
+            return t.relation_id === rel.id;
+          });
+          if(full) {
+            rel.members = members.filter(function (m) {
+              return m.relation_id === rel.id;
+            });
+          }
+        });
+        return rels;
+      });
+    });
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+/*
+ * Geodesic lengths of roads, in kilometers, on the WGS84 ellipsoid, as
+ * project lengths are measured. Works on the GeoJSON that
+ * services/osm-data-to-geojson.js and services/clip.js make.
+ */
+
+var A = 6378137;
+var F = 1 / 298.257223563;
+var B = A * (1 - F);
+var MAX_ITERATIONS = 100;
+
+function radians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great circle distance, for the nearly antipodal points where Vincenty's
+// formula doesn't converge.
+function haversine(a, b) {
+  var dLat = radians(b[1] - a[1]);
+  var dLon = radians(b[0] - a[0]);
+  var h = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(radians(a[1])) * Math.cos(radians(b[1])) * Math.pow(Math.sin(dLon / 2), 2);
+  return 2 * 6371.0088 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Distance in kilometers between two [lon, lat] points, with Vincenty's
+// inverse formula.
+function distance(a, b) {
+  if (a[0] === b[0] && a[1] === b[1]) {
+    return 0;
+  }
+  var L = radians(b[0] - a[0]);
+  var U1 = Math.atan((1 - F) * Math.tan(radians(a[1])));
+  var U2 = Math.atan((1 - F) * Math.tan(radians(b[1])));
+  var sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+  var sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+  var lambda = L;
+  var sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+  for (var i = 0; i < MAX_ITERATIONS; i++) {
+    var sinLambda = Math.sin(lambda);
+    var cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt(Math.pow(cosU2 * sinLambda, 2) +
+      Math.pow(cosU1 * sinU2 - sinU1 * cosU2 * cosLambda, 2));
+    if (sinSigma === 0) {
+      return 0;
+    }
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    var sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    // On the equator, cosSqAlpha is 0.
+    cos2SigmaM = cosSqAlpha ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+    var C = F / 16 * cosSqAlpha * (4 + F * (4 - 3 * cosSqAlpha));
+    var previous = lambda;
+    lambda = L + (1 - C) * F * sinAlpha * (sigma + C * sinSigma *
+      (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+    if (Math.abs(lambda - previous) < 1e-12) {
+      break;
+    }
+  }
+  if (i === MAX_ITERATIONS) {
+    return haversine(a, b);
+  }
+
+  var uSq = cosSqAlpha * (A * A - B * B) / (B * B);
+  var bigA = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  var bigB = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  var deltaSigma = bigB * sinSigma * (cos2SigmaM + bigB / 4 *
+    (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) - bigB / 6 * cos2SigmaM *
+    (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+  return B * bigA * (sigma - deltaSigma) / 1000;
+}
+
+// Length in kilometers of a list of [lon, lat] points.
+function lineLength(coordinates) {
+  var length = 0;
+  for (var i = 1; i < coordinates.length; i++) {
+    length += distance(coordinates[i - 1], coordinates[i]);
+  }
+  return length;
+}
+
+// Length in kilometers of a LineString or MultiLineString feature. Other
+// geometries have no length.
+function featureLength(feature) {
+  var geometry = feature.geometry;
+  if (geometry.type === 'LineString') {
+    return lineLength(geometry.coordinates);
+  }
+  if (geometry.type === 'MultiLineString') {
+    return geometry.coordinates.reduce(function (length, line) {
+      return length + lineLength(line);
+    }, 0);
+  }
+  return null;
+}
+
+// Lengths are given to the meter.
+function round(length) {
+  return Math.round(length * 1000) / 1000;
+}
+
+/*
+ * Add `length_km` to the properties of the roads of a FeatureCollection.
+ * Returns the total length of the roads in kilometers.
+ */
+function addLengths(collection) {
+  var total = 0;
+  collection.features.forEach(function (feature) {
+    var length = featureLength(feature);
+    if (length !== null) {
+      feature.properties.length_km = round(length);
+      total += length;
+    }
+  });
+  return round(total);
+}
+
+module.exports = {
+  distance: distance,
+  lineLength: lineLength,
+  featureLength: featureLength,
+  addLengths: addLengths
+};
@@ -0,0 +1,95 @@
+'use strict';
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var Chunk = require('./chunk.js');
+
+// Statements that copy the current state of the given entities into the
+// history tables. Each entity gets one row per version, and its tags, way
+// nodes and members are stored against that same version.
+var statements = {
+  node: function(ids) {
+    return [
+      'insert into nodes (node_id, latitude, longitude, changeset_id, ' +
+        'visible, "timestamp", tile, version) ' +
+      'select id, latitude, longitude, changeset_id, visible, "timestamp", ' +
+        'tile, version from current_nodes where id in (' + ids + ')',
+
+      'insert into node_tags (node_id, version, k, v) ' +
+      'select t.node_id, n.version, t.k, t.v from current_node_tags t ' +
+      'join current_nodes n on n.id = t.node_id ' +
+      'where t.node_id in (' + ids + ')'
+    ];
+  },
+
+  way: function(ids) {
+    return [
+      'insert into ways (way_id, changeset_id, "timestamp", version, visible) ' +
+      'select id, changeset_id, "timestamp", version, visible ' +
+      'from current_ways where id in (' + ids + ')',
+
+      'insert into way_nodes (way_id, node_id, version, sequence_id) ' +
+      'select wn.way_id, wn.node_id, w.version, wn.sequence_id ' +
+      'from current_way_nodes wn join current_ways w on w.id = wn.way_id ' +
+      'where wn.way_id in (' + ids + ')',
+
+      'insert into way_tags (way_id, k, v, version) ' +
+      'select t.way_id, t.k, t.v, w.version from current_way_tags t ' +
+      'join current_ways w on w.id = t.way_id ' +
+      'where t.way_id in (' + ids + ')'
+    ];
+  },
+
+  relation: function(ids) {
+    return [
+      'insert into relations (relation_id, changeset_id, "timestamp", ' +
+        'version, visible) ' +
+      'select id, changeset_id, "timestamp", version, visible ' +
+      'from current_relations where id in (' + ids + ')',
+
+      'insert into relation_members (relation_id, member_type, member_id, ' +
+        'member_role, version, sequence_id) ' +
+      'select m.relation_id, m.member_type, m.member_id, m.member_role, ' +
+        'r.version, m.sequence_id from current_relation_members m ' +
+      'join current_relations r on r.id = m.relation_id ' +
+      'where m.relation_id in (' + ids + ')',
+
+      'insert into relation_tags (relation_id, k, v, version) ' +
+      'select t.relation_id, t.k, t.v, r.version from current_relation_tags t ' +
+      'join current_relations r on r.id = t.relation_id ' +
+      'where t.relation_id in (' + ids + ')'
+    ];
+  }
+};
+
+// Returns the ids of every entity of the given type that the changeset
+// created, modified or deleted.
+function touchedIds(q, type) {
+  var ids = _.values(q.map[type]);
+  ['modify', 'delete'].forEach(function(action) {
+    if (q.changeset[action][type]) {
+      ids = ids.concat(_.pluck(q.changeset[action][type], 'id'));
+    }
+  });
+  return _(ids)
+    .map(function(id) { return parseInt(id, 10); })
+    .filter(function(id) { return !isNaN(id); })
+    .unique()
+    .value();
+}
+
+/*
+ * Writes the new version of every entity touched by the changeset in `q`
+ * to the nodes, ways and relations history tables (and their tags, way
+ * nodes and members). Must run inside the upload transaction, after the
+ * current tables have been updated.
+ */
+module.exports = function saveHistory(q) {
+  return Promise.each(['node', 'way', 'relation'], function(type) {
+    return Promise.each(Chunk(touchedIds(q, type)), function(ids) {
+      return Promise.each(statements[type](ids.join(',')), function(sql) {
+        return q.transaction.raw(sql);
+      });
+    });
+  });
+};
@@ -0,0 +1,14 @@
+'use strict';
+var path = require('path');
+
+/*
+ * The tag schema that uploads are checked against, see services/check-tags.js.
+ * It's read from tag-schema.json at the root of the repo, or from the file
+ * that OR_TAG_SCHEMA points to.
+ *
+ * - keys: the keys a road can have. Keys with `values` only accept those.
+ * - highway: the accepted highway classes, with the keys each requires.
+ */
+var file = process.env.OR_TAG_SCHEMA || path.join(__dirname, '..', 'tag-schema.json');
+
+module.exports = require(path.resolve(file));
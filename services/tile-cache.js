@@ -0,0 +1,66 @@
+'use strict';
+var _ = require('lodash');
+
+/*
+ * Vector tiles are kept in memory once they are made, until an upload
+ * changes something in them. See routes/tiles.js.
+ *
+ * A tile made from data read before an upload can be finished after the
+ * upload, so tiles are only kept if no upload happened since their data was
+ * read: each upload starts a new generation of tiles.
+ */
+
+var MAX_TILES = 5000;
+
+var tiles = {};
+var count = 0;
+var generation = 0;
+
+function key(z, x, y) {
+  return z + '/' + x + '/' + y;
+}
+
+function intersects(a, b) {
+  return a.minLon <= b.maxLon && a.maxLon >= b.minLon &&
+    a.minLat <= b.maxLat && a.maxLat >= b.minLat;
+}
+
+module.exports = {
+  // The current generation, to read before querying the data of a tile.
+  generation: function () {
+    return generation;
+  },
+
+  get: function (z, x, y) {
+    var tile = tiles[key(z, x, y)];
+    return tile ? tile.data : null;
+  },
+
+  // Keep a tile, with its bounds in degrees, unless an upload happened
+  // since the generation its data was read in. The oldest tiles are dropped
+  // once there are too many.
+  set: function (z, x, y, bounds, data, since) {
+    if (since !== generation) {
+      return;
+    }
+    if (count >= MAX_TILES) {
+      delete tiles[_.first(Object.keys(tiles))];
+      count--;
+    }
+    if (!tiles[key(z, x, y)]) {
+      count++;
+    }
+    tiles[key(z, x, y)] = { bounds: bounds, data: data };
+  },
+
+  // Drop the tiles that overlap a bounding box, in degrees.
+  invalidate: function (bounds) {
+    generation++;
+    _.forEach(tiles, function (tile, k) {
+      if (intersects(tile.bounds, bounds)) {
+        delete tiles[k];
+        count--;
+      }
+    });
+  }
+};
@@ -0,0 +1,245 @@
+'use strict';
+var _ = require('lodash');
+var Boom = require('boom');
+var Promise = require('bluebird');
+
+var knex = require('../connection.js');
+var Changeset = require('../models/changeset.js');
+var changedBounds = require('./changed-bounds.js');
+var checkPlaceholders = require('./check-placeholders.js');
+var checkReferences = require('./check-references.js');
+var checkTags = require('./check-tags.js');
+var checkVersions = require('./check-versions.js');
+var log = require('./log.js');
+var postgis = require('./postgis.js');
+var RATIO = require('./ratio.js');
+var saveHistory = require('./save-history.js');
+var tagSchema = require('./tag-schema.js');
+var tileCache = require('./tile-cache.js');
+
+var models = {
+  node: require('../models/node-model.js'),
+  way: require('../models/way.js'),
+  relation: require('../models/relation.js')
+};
+
+// Thrown at the end of a dry run to roll its transaction back.
+// Carries the result the upload would have had.
+function DryRun(result) {
+  this.result = result;
+}
+DryRun.prototype = Object.create(Error.prototype);
+
+function updateChangeset(meta, changeset) {
+
+  // Keep track of the number of changes this upload operation is doing.
+  var numChanges = parseInt(meta.num_changes, 10) || 0;
+  var nodes = [];
+  ['create', 'modify', 'delete'].forEach(function(action) {
+    if (changeset[action].node) {
+      nodes = nodes.concat(changeset[action].node);
+    }
+    ['node', 'way', 'relation'].forEach(function(entity) {
+      numChanges += changeset[action][entity] ? changeset[action][entity].length : 0;
+    });
+  });
+
+  var newChangeset = {
+    // Every upload keeps the changeset open for a while longer.
+    closed_at: Changeset.expiry(meta),
+    num_changes: numChanges
+  };
+
+  // Grow the bounding box of the changeset to cover the nodes in this
+  // upload. It's stored scaled, like the coordinates of the nodes.
+  var lons = [];
+  var lats = [];
+  nodes.forEach(function(node) {
+    var lon = parseFloat(node.lon);
+    var lat = parseFloat(node.lat);
+    if (!isNaN(lon) && !isNaN(lat)) {
+      lons.push(lon * RATIO | 0);
+      lats.push(lat * RATIO | 0);
+    }
+  });
+  if (lons.length && meta.min_lon !== null && meta.min_lon !== undefined) {
+    lons.push(+meta.min_lon, +meta.max_lon);
+    lats.push(+meta.min_lat, +meta.max_lat);
+  }
+  if (lons.length) {
+    newChangeset.min_lon = _.min(lons);
+    newChangeset.min_lat = _.min(lats);
+    newChangeset.max_lon = _.max(lons);
+    newChangeset.max_lat = _.max(lats);
+  }
+  return newChangeset;
+}
+
+/*
+ * The steps of saving a batch of an upload, in the order they run.
+ * Each is given the query data and runs in the upload transaction.
+ */
+var phases = [
+  { name: 'versions', run: checkVersions },
+  { name: 'references', run: checkReferences },
+  { name: 'bounds', run: changedBounds },
+  { name: 'nodes', run: function(q) { return models.node.save(q); } },
+  { name: 'ways', run: function(q) { return models.way.save(q); } },
+  // Only does something in PostGIS mode. See services/postgis.js.
+  { name: 'geometries', run: postgis.updateGeometries },
+  { name: 'relations', run: function(q) { return models.relation.save(q); } },
+  { name: 'history', run: saveHistory }
+];
+
+/*
+ * Save an osmChange object to an open changeset, in a single transaction.
+ * Resolves with the updated changeset, the ids of created entities, the
+ * deletes that were skipped because what they delete is still in use, and
+ * warnings about roads whose tags don't follow the tag schema.
+ *
+ * Instead of an object, `changeset` can be a function that reads the upload
+ * in batches: it's called with a `save` function, which it calls with each
+ * batch in turn, waiting for the promise `save` returns. It returns a promise
+ * that resolves once every batch is saved. All batches share the same
+ * transaction and map of created ids, so they can refer to entities created
+ * in earlier batches.
+ *
+ * `options` can have:
+ * - dryRun: do everything the same, but always roll back, and resolve with
+ *   what the upload would have returned.
+ * - strictTags: fail with a 400 if tags don't follow the tag schema, instead
+ *   of warning about them. See services/check-tags.js.
+ * - onPhase: called with the name of each phase and the number of seconds it
+ *   took, once it completes. Phases run once for each batch, and then
+ *   `changeset` runs once at the end.
+ */
+function upload(changesetID, changeset, options) {
+  options = options || {};
+  var feed = typeof changeset === 'function' ? changeset : function(save) {
+    return save(changeset);
+  };
+
+  // What the upload changes on the map, in degrees.
+  // See services/changed-bounds.js.
+  var bounds = {};
+
+  // Useful to keep track of how long stuff takes.
+  function timed(name, run) {
+    var time = new Date();
+    return Promise.resolve(run()).tap(function() {
+      var seconds = (new Date() - time) / 1000;
+      log.info('Upload phase', name, 'completed', seconds, 'seconds');
+      if (options.onPhase) {
+        options.onPhase(name, seconds);
+      }
+    });
+  }
+
+  return Promise.resolve(knex(Changeset.tableName).where('id', changesetID))
+  .then(function(meta) {
+    if (meta.length === 0) {
+      throw Boom.badRequest('Could not find changeset');
+    }
+    if (!Changeset.isOpen(meta[0])) {
+      throw Boom.conflict('The changeset ' + changesetID +
+        ' was closed at ' + new Date(meta[0].closed_at).toISOString());
+    }
+
+    log.info('Starting changeset transaction');
+    return knex.transaction(function(transaction) {
+
+      var queryData = {
+        // Map of old ids to newly-created ones.
+        map: {
+          node: {},
+          way: {},
+          relation: {}
+        },
+        transaction: transaction,
+        changeset: null,
+        // Deletes skipped because of if-unused, see services/check-references.js.
+        skipped: {
+          node: [],
+          way: [],
+          relation: []
+        },
+        meta: meta[0],
+        bounds: bounds
+      };
+
+      // Columns of the changeset to update at the end.
+      var newMeta = { closed_at: Changeset.expiry(meta[0]) };
+      var warnings = [];
+
+      function save(batch) {
+        // Fail before touching the database if new ids can't be resolved,
+        // or if tags are invalid in strict mode.
+        checkPlaceholders(batch, queryData.map);
+        var problems = checkTags(batch, tagSchema);
+        if (problems.length && options.strictTags) {
+          var err = Boom.badRequest('Invalid tags. ' + _.pluck(problems, 'message').join('. '));
+          err.output.payload.invalidTags = problems;
+          throw err;
+        }
+        warnings = warnings.concat(problems);
+        queryData.changeset = batch;
+
+        return Promise.each(phases, function(phase) {
+          return timed(phase.name, function() {
+            return phase.run(queryData);
+          });
+        })
+        .then(function() {
+          // Keep count of the changes and the bounding box as batches go.
+          _.extend(newMeta, updateChangeset(queryData.meta, batch));
+          queryData.meta = _.extend({}, queryData.meta, newMeta);
+        });
+      }
+
+      return Promise.resolve(feed(save))
+      .then(function() {
+        return timed('changeset', function() {
+          return transaction(Changeset.tableName)
+            .where('id', queryData.meta.id)
+            .update(newMeta);
+        });
+      })
+      .then(function() {
+        var result = {
+          changeset: queryData.meta,
+          created: queryData.map,
+          skipped: queryData.skipped,
+          warnings: warnings
+        };
+        if (options.dryRun) {
+          throw new DryRun(result);
+        }
+        return result;
+      })
+      .catch(function(err) {
+        // Once we get here, rollback should happen automatically,
+        // since we are returning promises in this transaction.
+        // https://github.com/tgriesser/knex/issues/362
+
+        if (!(err instanceof DryRun)) {
+          log.error('Changeset update fails', err);
+        }
+        throw err;
+      });
+    });
+  })
+  .tap(function() {
+    // Vector tiles of what changed are stale once the upload is saved.
+    if (_.has(bounds, 'minLon')) {
+      tileCache.invalidate(bounds);
+    }
+  })
+  .catch(DryRun, function(dryRun) {
+    log.info('Dry run rolled back');
+    return dryRun.result;
+  });
+}
+
+upload.phases = _.pluck(phases, 'name').concat('changeset');
+
+module.exports = upload;
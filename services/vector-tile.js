@@ -0,0 +1,432 @@
+'use strict';
+var _ = require('lodash');
+var Pbf = require('pbf');
+
+/*
+ * Writes GeoJSON features as Mapbox Vector Tiles.
+ * https://github.com/mapbox/vector-tile-spec/tree/master/2.1
+ *
+ * Features are projected to the coordinates of the tile, simplified, and
+ * clipped to the tile and a buffer around it. Details smaller than the
+ * tolerance, in tile units, are dropped, so lines get simpler as the zoom
+ * goes down.
+ */
+
+var EXTENT = 4096;
+var BUFFER = 64;
+var TOLERANCE = 4;
+var MAX_LAT = 85.0511287798;
+
+var GEOM_TYPES = {
+  Point: 1,
+  LineString: 2,
+  Polygon: 3
+};
+
+// The bounds of a tile, in degrees. With `buffered`, the bounds of the tile
+// and the buffer around it, which features are clipped to.
+function tileBounds(z, x, y, buffered) {
+  var n = Math.pow(2, z);
+  var buffer = buffered ? BUFFER / EXTENT : 0;
+  function lon(x) {
+    return Math.max(-180, Math.min(180, x / n * 360 - 180));
+  }
+  function lat(y) {
+    return Math.atan(Math.sinh(Math.PI * (1 - 2 * Math.max(0, Math.min(n, y)) / n))) * 180 / Math.PI;
+  }
+  return {
+    minLon: lon(x - buffer),
+    minLat: lat(y + 1 + buffer),
+    maxLon: lon(x + 1 + buffer),
+    maxLat: lat(y - buffer)
+  };
+}
+
+// Make a function that projects [lon, lat] to the coordinates of a tile.
+function projection(z, x, y) {
+  var n = Math.pow(2, z);
+  return function (coord) {
+    var lat = Math.max(-MAX_LAT, Math.min(MAX_LAT, coord[1]));
+    var sin = Math.sin(lat * Math.PI / 180);
+    var px = (coord[0] + 180) / 360;
+    var py = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+    return [(px * n - x) * EXTENT, (py * n - y) * EXTENT];
+  };
+}
+
+// Squared distance from p to the segment from a to b.
+function segmentDistance(p, a, b) {
+  var x = a[0];
+  var y = a[1];
+  var dx = b[0] - x;
+  var dy = b[1] - y;
+  if (dx !== 0 || dy !== 0) {
+    var t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = b[0];
+      y = b[1];
+    }
+    else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+  dx = p[0] - x;
+  dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+// Douglas-Peucker simplification. The first and last points are kept.
+function simplify(points, tolerance) {
+  if (points.length < 3) {
+    return points;
+  }
+  var sqTolerance = tolerance * tolerance;
+  var keep = [];
+  keep[0] = keep[points.length - 1] = true;
+  var stack = [[0, points.length - 1]];
+  while (stack.length) {
+    var range = stack.pop();
+    var max = 0;
+    var index = -1;
+    for (var i = range[0] + 1; i < range[1]; i++) {
+      var distance = segmentDistance(points[i], points[range[0]], points[range[1]]);
+      if (distance > max) {
+        max = distance;
+        index = i;
+      }
+    }
+    if (max > sqTolerance) {
+      keep[index] = true;
+      stack.push([range[0], index], [index, range[1]]);
+    }
+  }
+  return points.filter(function (point, i) {
+    return keep[i];
+  });
+}
+
+// Clip the segment from a to b to the square from min to max. Returns the
+// clipped segment and whether it leaves the square, or null if it is
+// outside of it.
+function clipSegment(a, b, min, max) {
+  var dx = b[0] - a[0];
+  var dy = b[1] - a[1];
+  var p = [-dx, dx, -dy, dy];
+  var q = [a[0] - min, max - a[0], a[1] - min, max - a[1]];
+  var t0 = 0;
+  var t1 = 1;
+  for (var i = 0; i < 4; i++) {
+    if (p[i] === 0) {
+      if (q[i] < 0) {
+        return null;
+      }
+      continue;
+    }
+    var t = q[i] / p[i];
+    if (p[i] < 0) {
+      if (t > t1) {
+        return null;
+      }
+      t0 = Math.max(t0, t);
+    }
+    else {
+      if (t < t0) {
+        return null;
+      }
+      t1 = Math.min(t1, t);
+    }
+  }
+  return {
+    start: [a[0] + t0 * dx, a[1] + t0 * dy],
+    end: [a[0] + t1 * dx, a[1] + t1 * dy],
+    enters: t0 > 0,
+    leaves: t1 < 1
+  };
+}
+
+// Clip a line to the square from min to max, into the parts that are
+// inside of it.
+function clipLine(points, min, max) {
+  var parts = [];
+  var current = [];
+  function flush() {
+    if (current.length > 1) {
+      parts.push(current);
+    }
+    current = [];
+  }
+  if (points.length === 1) {
+    return clipSegment(points[0], points[0], min, max) ? [points] : [];
+  }
+  for (var i = 1; i < points.length; i++) {
+    var segment = clipSegment(points[i - 1], points[i], min, max);
+    if (!segment) {
+      flush();
+      continue;
+    }
+    if (segment.enters || !current.length) {
+      flush();
+      current.push(segment.start);
+    }
+    current.push(segment.end);
+    if (segment.leaves) {
+      flush();
+    }
+  }
+  flush();
+  return parts;
+}
+
+// Clip an open ring to the square from min to max (Sutherland-Hodgman).
+function clipRing(ring, min, max) {
+  // Each edge is an axis, a bound, and on which side of it points are in.
+  var edges = [[0, min, 1], [0, max, -1], [1, min, 1], [1, max, -1]];
+  edges.forEach(function (edge) {
+    var axis = edge[0];
+    function isInside(point) {
+      return (point[axis] - edge[1]) * edge[2] >= 0;
+    }
+    function intersect(a, b) {
+      var t = (edge[1] - a[axis]) / (b[axis] - a[axis]);
+      return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    }
+    var input = ring;
+    ring = [];
+    input.forEach(function (point, i) {
+      var previous = input[(i + input.length - 1) % input.length];
+      if (isInside(point)) {
+        if (!isInside(previous)) {
+          ring.push(intersect(previous, point));
+        }
+        ring.push(point);
+      }
+      else if (isInside(previous)) {
+        ring.push(intersect(previous, point));
+      }
+    });
+  });
+  return ring;
+}
+
+// Round points to whole tile units, without repeating a point.
+function round(points) {
+  var rounded = [];
+  points.forEach(function (point) {
+    var x = Math.round(point[0]);
+    var y = Math.round(point[1]);
+    var last = rounded[rounded.length - 1];
+    if (!last || last[0] !== x || last[1] !== y) {
+      rounded.push([x, y]);
+    }
+  });
+  return rounded;
+}
+
+// Twice the signed area of a ring. Positive for the exterior rings of
+// vector tiles, which are clockwise, since y goes down.
+function ringArea(ring) {
+  var area = 0;
+  for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area;
+}
+
+/*
+ * Turn a GeoJSON geometry into the parts of a vector tile feature, in tile
+ * coordinates: points, lines, or rings with exterior rings first. Returns
+ * {type, parts}, with no parts if nothing is left in the tile.
+ */
+function tileGeometry(geometry, project) {
+  var min = -BUFFER;
+  var max = EXTENT + BUFFER;
+  var type = geometry.type.replace(/^Multi/, '');
+  var coordinates = geometry.type.indexOf('Multi') === 0 ?
+    geometry.coordinates : [geometry.coordinates];
+  var parts = [];
+
+  coordinates.forEach(function (coords) {
+    if (type === 'Point') {
+      parts = parts.concat(clipLine([project(coords)], min, max).map(round));
+    }
+    else if (type === 'LineString') {
+      var line = simplify(coords.map(project), TOLERANCE);
+      clipLine(line, min, max).map(round).forEach(function (part) {
+        if (part.length > 1) {
+          parts.push(part);
+        }
+      });
+    }
+    else if (type === 'Polygon') {
+      var rings = [];
+      coords.forEach(function (ring, i) {
+        // Rings are open in tiles.
+        ring = simplify(ring.map(project), TOLERANCE).slice(0, -1);
+        ring = round(clipRing(ring, min, max));
+        if (ring.length > 1 && _.isEqual(ring[0], ring[ring.length - 1])) {
+          ring.pop();
+        }
+        var area = ringArea(ring);
+        if (ring.length < 3 || area === 0) {
+          return;
+        }
+        // Exterior rings have a positive area, holes a negative one.
+        if ((i === 0) !== (area > 0)) {
+          ring.reverse();
+        }
+        rings.push(ring);
+      });
+      if (rings.length && ringArea(rings[0]) > 0) {
+        parts = parts.concat(rings);
+      }
+    }
+  });
+  return { type: GEOM_TYPES[type], parts: parts };
+}
+
+function zigzag(n) {
+  return (n << 1) ^ (n >> 31);
+}
+
+function command(id, count) {
+  return (id & 0x7) | (count << 3);
+}
+
+// Encode the parts of a feature as commands, with coordinates relative to
+// the previous point. The points of a MultiPoint are all in a single MoveTo.
+function encodeGeometry(type, parts) {
+  var geometry = [];
+  var x = 0;
+  var y = 0;
+  if (type === GEOM_TYPES.Point) {
+    geometry.push(command(1, parts.length));
+    parts.forEach(function (points) {
+      geometry.push(zigzag(points[0][0] - x), zigzag(points[0][1] - y));
+      x = points[0][0];
+      y = points[0][1];
+    });
+    return geometry;
+  }
+  parts.forEach(function (points) {
+    points.forEach(function (point, i) {
+      if (i === 0) {
+        geometry.push(command(1, 1));
+      }
+      else if (i === 1) {
+        geometry.push(command(2, points.length - 1));
+      }
+      geometry.push(zigzag(point[0] - x), zigzag(point[1] - y));
+      x = point[0];
+      y = point[1];
+    });
+    if (type === GEOM_TYPES.Polygon) {
+      geometry.push(command(7, 1));
+    }
+  });
+  return geometry;
+}
+
+// Keys and values are stored once per layer, and features refer to them by
+// index.
+function Index() {
+  this.indices = {};
+  this.list = [];
+}
+
+Index.prototype.get = function (key, value) {
+  if (!_.has(this.indices, key)) {
+    this.indices[key] = this.list.length;
+    this.list.push(value === undefined ? key : value);
+  }
+  return this.indices[key];
+};
+
+function writeValue(value, pbf) {
+  if (typeof value === 'boolean') {
+    pbf.writeBooleanField(7, value);
+  }
+  else if (typeof value === 'number' && value % 1 === 0) {
+    if (value < 0) {
+      pbf.writeSVarintField(6, value);
+    }
+    else {
+      pbf.writeVarintField(5, value);
+    }
+  }
+  else if (typeof value === 'number') {
+    pbf.writeDoubleField(3, value);
+  }
+  else {
+    pbf.writeStringField(1, String(value));
+  }
+}
+
+function writeFeature(obj, pbf) {
+  var feature = obj.feature;
+  if (feature.id !== undefined) {
+    pbf.writeVarintField(1, feature.id);
+  }
+  var tags = [];
+  _.forEach(feature.properties, function (value, key) {
+    if (value === null || value === undefined) {
+      return;
+    }
+    tags.push(obj.keys.get(key), obj.values.get(typeof value + ':' + value, value));
+  });
+  pbf.writePackedVarint(2, tags);
+  pbf.writeVarintField(3, feature.type);
+  pbf.writePackedVarint(4, encodeGeometry(feature.type, feature.parts));
+}
+
+function writeLayer(layer, pbf) {
+  var keys = new Index();
+  var values = new Index();
+  pbf.writeVarintField(15, 2);
+  pbf.writeStringField(1, layer.name);
+  layer.features.forEach(function (feature) {
+    pbf.writeMessage(2, writeFeature, { feature: feature, keys: keys, values: values });
+  });
+  keys.list.forEach(function (key) {
+    pbf.writeStringField(3, key);
+  });
+  values.list.forEach(function (value) {
+    pbf.writeMessage(4, writeValue, value);
+  });
+  pbf.writeVarintField(5, EXTENT);
+}
+
+/*
+ * Write a vector tile. `layers` maps layer names to GeoJSON
+ * FeatureCollections; the `id` of a feature, if any, is kept. Layers with
+ * nothing in the tile are left out. Returns a Buffer.
+ */
+function write(layers, z, x, y) {
+  var project = projection(z, x, y);
+  var pbf = new Pbf();
+  _.forEach(layers, function (collection, name) {
+    var features = [];
+    collection.features.forEach(function (feature) {
+      var geometry = tileGeometry(feature.geometry, project);
+      if (geometry.parts.length) {
+        features.push(_.extend(geometry, {
+          id: feature.id,
+          properties: feature.properties
+        }));
+      }
+    });
+    if (features.length) {
+      pbf.writeMessage(3, writeLayer, { name: name, features: features });
+    }
+  });
+  return new Buffer(pbf.finish());
+}
+
+module.exports = {
+  EXTENT: EXTENT,
+  tileBounds: tileBounds,
+  simplify: simplify,
+  clipLine: clipLine,
+  clipRing: clipRing,
+  write: write
+};
@@ -0,0 +1,157 @@
+'use strict';
+var StringDecoder = require('string_decoder').StringDecoder;
+var libxml = require('libxmljs');
+var Boom = require('boom');
+var Promise = require('bluebird');
+
+var actions = ['create', 'modify', 'delete'];
+var types = ['node', 'way', 'relation'];
+
+function emptyBatch() {
+  return {
+    create: {},
+    modify: {},
+    'delete': {}
+  };
+}
+
+// Turn the [name, prefix, uri, value] attributes of a SAX event
+// into an object.
+function attributes(attrs) {
+  var result = {};
+  for (var i = 0, ii = attrs.length; i < ii; ++i) {
+    result[attrs[i][0]] = attrs[i][3];
+  }
+  return result;
+}
+
+/*
+ * Read an osmChange or OSM XML document from a stream, without holding the
+ * whole document in memory.
+ *
+ * Entities are read in the same shape as XML.read, and handed to `onBatch`
+ * in changesets of up to `options.batchSize` entities, in document order.
+ * Entities directly under an <osm> element are read as creations.
+ * `onBatch` can return a promise; the stream is paused until it resolves.
+ *
+ * Resolves once every batch is handled. Rejects with a 400 if the document
+ * can't be parsed, or with the error of `onBatch`.
+ */
+module.exports = function readStream(stream, onBatch, options) {
+  options = options || {};
+  var batchSize = options.batchSize || 5000;
+
+  return new Promise(function(resolve, reject) {
+    var parser = new libxml.SaxPushParser();
+    var decoder = new StringDecoder('utf8');
+    var batch = emptyBatch();
+    var count = 0;
+    var failed = false;
+
+    var action = null;
+    var ifUnused = null;
+    var entity = null;
+    var type = null;
+
+    function fail(err) {
+      if (!failed) {
+        failed = true;
+        stream.pause();
+        reject(err);
+      }
+    }
+
+    // Hand over the entities read so far.
+    function flush() {
+      if (!count) {
+        return Promise.resolve();
+      }
+      var full = batch;
+      batch = emptyBatch();
+      count = 0;
+      return Promise.resolve(onBatch(full));
+    }
+
+    parser.on('startElementNS', function(name, attrs) {
+      if (entity) {
+        var attr = attributes(attrs);
+        if (name === 'tag') {
+          entity.tag.push({ k: attr.k, v: attr.v });
+        }
+        else if (name === 'nd' && type === 'way') {
+          entity.nd.push({ ref: attr.ref });
+        }
+        else if (name === 'member' && type === 'relation') {
+          entity.member.push({ type: attr.type, ref: attr.ref, role: attr.role || '' });
+        }
+      }
+      else if (actions.indexOf(name) !== -1) {
+        action = name;
+        ifUnused = name === 'delete' ? attributes(attrs)['if-unused'] : null;
+      }
+      else if (name === 'osm') {
+        action = 'create';
+      }
+      else if (action && types.indexOf(name) !== -1) {
+        type = name;
+        entity = attributes(attrs);
+        entity.tag = [];
+        if (type === 'way') {
+          entity.nd = [];
+        }
+        else if (type === 'relation') {
+          entity.member = [];
+        }
+      }
+    });
+
+    parser.on('endElementNS', function(name) {
+      if (entity && name === type) {
+        if (!batch[action][type]) {
+          batch[action][type] = [];
+        }
+        batch[action][type].push(entity);
+        // Deletes of entities that are still in use are skipped, not refused.
+        if (action === 'delete' && ifUnused) {
+          batch['delete']['if-unused'] = ifUnused;
+        }
+        count += 1;
+        entity = null;
+        type = null;
+      }
+      else if (!entity && (actions.indexOf(name) !== -1 || name === 'osm')) {
+        action = null;
+      }
+    });
+
+    parser.on('error', function(message) {
+      fail(Boom.badRequest('Could not parse XML file: ' + String(message).trim()));
+    });
+
+    stream.on('data', function(chunk) {
+      if (failed) {
+        return;
+      }
+      parser.push(decoder.write(chunk));
+      if (count >= batchSize) {
+        stream.pause();
+        flush().then(function() {
+          stream.resume();
+        }, fail);
+      }
+    });
+
+    stream.on('end', function() {
+      if (failed) {
+        return;
+      }
+      parser.push(decoder.end(), true);
+      if (failed) {
+        return;
+      }
+      flush().then(resolve, fail);
+    });
+
+    stream.on('error', fail);
+  });
+};
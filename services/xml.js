@@ -6,6 +6,7 @@ var RATIO = require('./ratio');
 var log = require('../services/log.js');
 var Node = require('../models/node-model.js');
 var Way = require('../models/way.js');
+var Relation = require('../models/relation.js');
 
 var xml = {
 
@@ -19,7 +20,8 @@ var xml = {
 
     var models = {
       node: Node,
-      way: Way
+      way: Way,
+      relation: Relation
     };
 
     try {
@@ -40,6 +42,12 @@ var xml = {
         return;
       }
 
+      // Deletes of entities that are still in use are skipped, not refused.
+      var ifUnused = action.attr('if-unused');
+      if (name === 'delete' && ifUnused) {
+        entityResult['if-unused'] = ifUnused.value();
+      }
+
       var entities = action.childNodes();
       for (var i = 0, ii = entities.length; i < ii; ++i) {
         var entity = entities[i];
@@ -60,6 +68,27 @@ var xml = {
     return result;
   },
 
+  // Read the <changeset> element of a changeset creation request,
+  // with or without an enclosing <osm> element.
+  readChangeset: function(xmlString) {
+    var doc;
+    try {
+      doc = libxml.parseXmlString(xmlString);
+    }
+    catch (err) {
+      throw new Error(err);
+    }
+
+    var changeset = doc.root().name() === 'changeset' ?
+      doc.root() : doc.get('//changeset');
+    if (!changeset) {
+      throw new Error('Could not find a changeset element');
+    }
+
+    // Attributes and tags are read the same way as a node's.
+    return Node.fromOSM(changeset);
+  },
+
   write: function(obj) {
     var obj = obj || {},
       nodes = obj.nodes,
@@ -89,9 +118,108 @@ var xml = {
     return doc;
   },
 
+  // Write an osmChange document. `change` has create, modify and delete
+  // keys, each of which is an object like the one passed to `write`.
+  writeChange: function(change) {
+    var doc = new libxml.Document();
+    var root = doc.node('osmChange')
+      .attr({ version: 0.6, generator: 'DevelopmentSeed' });
+
+    ['create', 'modify', 'delete'].forEach(function(action) {
+      var entities = change[action];
+      if (!entities) {
+        return;
+      }
+      var actionEl = root.node(action);
+      if (entities.nodes) {
+        xml.writeNodes(entities.nodes, actionEl);
+      }
+      if (entities.ways) {
+        xml.writeWays(entities.ways, actionEl);
+      }
+      if (entities.relations) {
+        xml.writeRelations(entities.relations, actionEl);
+      }
+    });
+
+    return doc;
+  },
+
+  // Write the response to an osmChange upload. `diff` is a list of
+  // {type, old_id, new_id, new_version} objects; deleted entities only
+  // have an old_id.
+  writeDiffResult: function(diff) {
+    var doc = new libxml.Document();
+    var root = doc.node('diffResult')
+      .attr({ version: 0.6, generator: 'DevelopmentSeed' });
+
+    for (var i = 0, ii = diff.length; i < ii; ++i) {
+      var entity = diff[i];
+      var attributes = { old_id: entity.old_id };
+      if (entity.new_id !== undefined) {
+        attributes.new_id = entity.new_id;
+        attributes.new_version = entity.new_version;
+      }
+      root.node(entity.type).attr(attributes);
+    }
+
+    return doc;
+  },
+
+  // Write changesets, as yielded by services/query-changesets.js, in the
+  // format of the OSM API.
+  writeChangesets: function(changesets) {
+    var doc = xml.writeDoc();
+    var root = doc.root();
+
+    for (var i = 0, ii = changesets.length; i < ii; ++i) {
+      var changeset = changesets[i];
+      var attributes = {
+        id: changeset.id,
+        user: changeset.user || 'DevelopmentSeed',
+        uid: changeset.user_id,
+        created_at: new Date(changeset.created_at).toISOString(),
+        open: changeset.open,
+        changes_count: changeset.num_changes || 0
+      };
+      if (!changeset.open) {
+        attributes.closed_at = new Date(changeset.closed_at).toISOString();
+      }
+      if (changeset.bbox) {
+        attributes.min_lon = changeset.bbox[0];
+        attributes.min_lat = changeset.bbox[1];
+        attributes.max_lon = changeset.bbox[2];
+        attributes.max_lat = changeset.bbox[3];
+      }
+      var changesetEl = root.node('changeset').attr(attributes);
+      _.forEach(changeset.tags, function(v, k) {
+        changesetEl.node('tag').attr({ k: k, v: v });
+      });
+    }
+
+    return doc;
+  },
+
+  // Write the capabilities of the API, as OSM editors expect them.
+  // `limits` has the maximum area of a map request in square degrees, the
+  // number of elements per changeset upload, and the timeout of requests
+  // in seconds.
+  writeCapabilities: function(limits) {
+    var doc = new libxml.Document();
+    var api = doc.node('osm')
+      .attr({ version: 0.6, generator: 'DevelopmentSeed' })
+      .node('api');
+    api.node('version').attr({ minimum: 0.6, maximum: 0.6 });
+    api.node('area').attr({ maximum: limits.area });
+    api.node('changesets').attr({ maximum_elements: limits.changesetElements });
+    api.node('timeout').attr({ seconds: limits.timeout });
+    api.node('status').attr({ database: 'online', api: 'online', gpx: 'offline' });
+    return doc;
+  },
+
   writeDoc: function() {
     var doc = new libxml.Document();
-    doc.node('osm').attr({ version: 6, generator: 'DevelopmentSeed' });
+    doc.node('osm').attr({ version: 0.6, generator: 'DevelopmentSeed' });
     return doc;
   },
 
@@ -114,8 +242,8 @@ var xml = {
         version: node.version,
         changeset: node.changeset_id,
         timestamp: node.timestamp,
-        user: 'DevelopmentSeed',
-        uid: 1,
+        user: node.user || 'DevelopmentSeed',
+        uid: node.uid || 1,
         lat: node.latitude / RATIO,
         lon: node.longitude / RATIO
       });
@@ -140,8 +268,8 @@ var xml = {
         version: way.version,
         changeset: way.changeset_id,
         timestamp: way.timestamp,
-        user: 'DevelopmentSeed',
-        uid: 1
+        user: way.user || 'DevelopmentSeed',
+        uid: way.uid || 1
       });
 
       // Use the sequence ID to make sure nodes are ordered correctly.
@@ -180,8 +308,8 @@ var xml = {
         version: relation.version,
         changeset: relation.changeset_id,
         timestamp: relation.timestamp,
-        user: 'DevelopmentSeed',
-        uid: 1
+        user: relation.user || 'DevelopmentSeed',
+        uid: relation.uid || 1
       });
 
       // Use the sequence ID to make sure members are ordered correctly.
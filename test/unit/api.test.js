@@ -0,0 +1,160 @@
+'use strict';
+var libxml = require('libxmljs');
+var serverTest = require('./helpers/server-test');
+
+var osmChange = '<osmChange version="0.6" generator="JOSM">' +
+  '<create>' +
+  '<node id="-1" lat="9.61" lon="123.81" changeset="CID"/>' +
+  '<node id="-2" lat="9.62" lon="123.82" changeset="CID"/>' +
+  '<way id="-3" changeset="CID"><nd ref="-1"/><nd ref="-2"/>' +
+  '<tag k="highway" v="road"/></way>' +
+  '</create>' +
+  '</osmChange>';
+
+describe('OSM API 0.6', function() {
+  // Opened through the API, and removed with the test helper.
+  var testChangeset = new serverTest.testChangeset();
+  var changesetId;
+  var created = {};
+
+  after(function (done) {
+    testChangeset.changesetId = changesetId;
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  it('returns the capabilities', function(done) {
+    server.injectThen({
+      method: 'GET',
+      url: '/api/capabilities'
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.get('//api/version').attr('maximum').value().should.equal('0.6');
+      doc.get('//api/area').attr('maximum').value().should.equal('0.3');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('creates a changeset, and responds with its id', function(done) {
+    server.injectThen({
+      method: 'PUT',
+      url: '/api/0.6/changeset/create',
+      headers: { 'Content-Type': 'text/xml' },
+      payload: '<osm><changeset><tag k="comment" v="From JOSM"/></changeset></osm>'
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      res.headers['content-type'].should.match(/text\/plain/);
+      changesetId = res.payload;
+      changesetId.should.match(/^\d+$/);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('uploads osmChange XML, and responds with a diffResult', function(done) {
+    server.injectThen({
+      method: 'POST',
+      url: '/api/0.6/changeset/' + changesetId + '/upload',
+      headers: { 'Content-Type': 'text/xml' },
+      payload: osmChange.replace(/CID/g, changesetId)
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.root().name().should.equal('diffResult');
+      doc.find('//node').should.have.lengthOf(2);
+      created.way = doc.get('//way').attr('new_id').value();
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns an element and its full closure', function(done) {
+    server.injectThen({
+      method: 'GET',
+      url: '/api/0.6/way/' + created.way
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      // JOSM refuses documents of other versions.
+      doc.root().attr('version').value().should.equal('0.6');
+      doc.find('//way').should.have.lengthOf(1);
+      doc.find('//node').should.have.lengthOf(0);
+      return server.injectThen({
+        method: 'GET',
+        url: '/api/0.6/way/' + created.way + '/full'
+      });
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.root().attr('version').value().should.equal('0.6');
+      doc.find('//node').should.have.lengthOf(2);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns a 404 for a missing element', function(done) {
+    server.injectThen({
+      method: 'GET',
+      url: '/api/0.6/node/999999999'
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(404);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns errors as plain text, with the OSM status codes', function(done) {
+    server.injectThen({
+      method: 'POST',
+      url: '/api/0.6/changeset/999999999/upload',
+      headers: { 'Content-Type': 'text/xml' },
+      payload: osmChange.replace(/CID/g, '999999999')
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(404);
+      res.headers['content-type'].should.startWith('text/plain');
+      res.headers.error.should.equal('Could not find changeset');
+      res.payload.should.equal('Could not find changeset');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('closes a changeset, and returns it as XML', function(done) {
+    server.injectThen({
+      method: 'PUT',
+      url: '/api/0.6/changeset/' + changesetId + '/close'
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      res.payload.should.equal('');
+      return server.injectThen({
+        method: 'GET',
+        url: '/api/0.6/changeset/' + changesetId
+      });
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.root().attr('version').value().should.equal('0.6');
+      var changeset = doc.get('//changeset');
+      changeset.attr('open').value().should.equal('false');
+      changeset.attr('changes_count').value().should.equal('3');
+      changeset.get('tag').attr('v').value().should.equal('From JOSM');
+      done();
+    })
+    .catch(done);
+  });
+});
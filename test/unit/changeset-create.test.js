@@ -1,5 +1,8 @@
 'use strict';
 var knex = require('../../connection.js');
+var Node = require('./helpers/create-node.js');
+var Change = require('./helpers/create-changeset.js');
+var serverTest = require('./helpers/server-test');
 
 var changesets = [];
 
@@ -49,4 +52,108 @@ describe('changeset create endpoint', function () {
 
   });
 
+
+  it('stores the comment as a changeset tag', function (done) {
+    knex('changeset_tags')
+    .where('changeset_id', changesets[0])
+    .then(function (tags) {
+      tags.should.have.lengthOf(1);
+      tags[0].k.should.equal('comment');
+      tags[0].v.should.equal('test comment');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('accepts changeset tags as OSM XML', function (done) {
+    server.injectThen({
+      method: 'PUT',
+      url: '/changeset/create?uid=99&user=openroads',
+      headers: { 'Content-Type': 'text/xml' },
+      payload: '<osm><changeset>' +
+        '<tag k="comment" v="xml comment"/>' +
+        '<tag k="created_by" v="JOSM"/>' +
+        '</changeset></osm>'
+    })
+    .then(function (res) {
+      res.statusCode.should.eql(200);
+      var id = JSON.parse(res.payload).id;
+      changesets.push(id);
+      return knex('changeset_tags').where('changeset_id', id);
+    })
+    .then(function (tags) {
+      tags.should.have.lengthOf(2);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('opens the changeset', function (done) {
+    knex('changesets')
+    .where('id', changesets[0])
+    .then(function (meta) {
+      new Date(meta[0].closed_at).should.be.above(new Date());
+      done();
+    })
+    .catch(done);
+  });
+});
+
+describe('changeset close endpoint', function () {
+  var testChangeset = new serverTest.testChangeset();
+
+  before('Create changeset', function (done) {
+    testChangeset.create()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  it('closes an open changeset', function (done) {
+    server.injectThen({
+      method: 'PUT',
+      url: '/changeset/' + testChangeset.changesetId + '/close'
+    })
+    .then(function (res) {
+      res.statusCode.should.eql(200);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('does not close a changeset twice', function (done) {
+    server.injectThen({
+      method: 'PUT',
+      url: '/changeset/' + testChangeset.changesetId + '/close'
+    })
+    .then(function (res) {
+      res.statusCode.should.eql(409);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('rejects uploads into a closed changeset', function (done) {
+    var cs = new Change();
+    cs.create('node', new Node({changeset: testChangeset.changesetId}));
+    server.injectThen({
+      method: 'POST',
+      url: '/changeset/' + testChangeset.changesetId + '/upload',
+      payload: { osmChange: cs.get() }
+    })
+    .then(function (res) {
+      res.statusCode.should.eql(409);
+      done();
+    })
+    .catch(done);
+  });
 });
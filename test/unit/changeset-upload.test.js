@@ -1,5 +1,6 @@
 'use strict';
 var _ = require('lodash');
+var libxml = require('libxmljs');
 var knex = require('../../connection.js');
 var mocks = require('./fixtures/changesets.js');
 var XML = require('../../services/xml.js');
@@ -188,7 +189,11 @@ describe('changeset upload endpoint', function() {
   it('Modifies a relation', function(done) {
     knex('current_relations').where('changeset_id', cid).then(function(relations) {
       var nodes = makeNodes(cid, 150);
-      var relation = new Relation({ id: relations[0].id, changeset: cid}).members('node', nodes);
+      var relation = new Relation({
+        id: relations[0].id,
+        version: relations[0].version,
+        changeset: cid
+      }).members('node', nodes);
       cs.create('node', nodes).modify('relation', relation);
       testChangeset.upload(cs.get())
         .then(function(res) { return done(); })
@@ -196,8 +201,17 @@ describe('changeset upload endpoint', function() {
     });
   });
 
+  // Nodes of this changeset that no way or relation uses.
+  function unusedNodes() {
+    return knex('current_nodes').where('changeset_id', cid)
+      .andWhere('visible', true)
+      .whereNotIn('id', knex('current_way_nodes').select('node_id'))
+      .whereNotIn('id', knex('current_relation_members').select('member_id')
+        .where('member_type', 'Node'));
+  }
+
   it('Deletes 1 node', function(done) {
-    knex('current_nodes').where('changeset_id', cid).then(function(nodes) {
+    unusedNodes().then(function(nodes) {
       cs.delete('node', new Node(nodes[0]));
       testChangeset.upload(cs.get())
         .then(function(res) { return done(); })
@@ -206,8 +220,11 @@ describe('changeset upload endpoint', function() {
   });
 
   it('Deletes 1 way', function(done) {
-    knex('current_ways').where('changeset_id', cid).then(function(ways) {
-      cs.delete('node', new Way(ways[0]));
+    knex('current_ways').where('changeset_id', cid).andWhere('visible', true)
+    .whereNotIn('id', knex('current_relation_members').select('member_id')
+      .where('member_type', 'Way'))
+    .then(function(ways) {
+      cs.delete('way', new Way(ways[0]));
       testChangeset.upload(cs.get())
         .then(function(res) { return done(); })
         .catch(done);
@@ -215,7 +232,7 @@ describe('changeset upload endpoint', function() {
   });
 
   it('Deletes up to 500 nodes', function(done) {
-    knex('current_nodes').where('changeset_id', cid).then(function(nodes) {
+    unusedNodes().then(function(nodes) {
       nodes = nodes.slice(0, 500);
       cs.delete('node', nodes);
       testChangeset.upload(cs.get())
@@ -224,6 +241,91 @@ describe('changeset upload endpoint', function() {
     });
   });
 
+  it('Refuses to delete a node that is still used by a way', function(done) {
+    knex('current_way_nodes').join('current_ways', 'way_id', 'current_ways.id')
+    .where('current_ways.changeset_id', cid).andWhere('current_ways.visible', true)
+    .select('node_id', 'way_id')
+    .then(function(wayNodes) {
+      return knex('current_nodes').where('id', wayNodes[0].node_id).then(function(nodes) {
+        cs.delete('node', new Node(nodes[0]));
+        return server.injectThen({
+          method: 'POST',
+          url: '/changeset/' + cid + '/upload',
+          payload: { osmChange: cs.get() }
+        });
+      })
+      .then(function(res) {
+        res.statusCode.should.equal(412);
+        var referenced = JSON.parse(res.payload).referenced[0];
+        referenced.id.should.equal(+wayNodes[0].node_id);
+        referenced.usedBy.should.containEql('way ' + wayNodes[0].way_id);
+        done();
+      });
+    })
+    .catch(done);
+  });
+
+  it('Skips deleting a used node if-unused', function(done) {
+    knex('current_way_nodes').join('current_ways', 'way_id', 'current_ways.id')
+    .where('current_ways.changeset_id', cid).andWhere('current_ways.visible', true)
+    .select('node_id')
+    .then(function(wayNodes) {
+      return knex('current_nodes').where('id', wayNodes[0].node_id);
+    })
+    .then(function(nodes) {
+      cs.delete('node', new Node(nodes[0]));
+      cs.get()['delete']['if-unused'] = true;
+      return testChangeset.upload(cs.get()).then(function() {
+        return knex('current_nodes').where('id', nodes[0].id);
+      });
+    })
+    .then(function(nodes) {
+      nodes[0].visible.should.equal(true);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('Lists skipped deletes in the diffResult without counting them', function(done) {
+    var node;
+    var numChanges;
+    knex('changesets').where('id', cid)
+    .then(function(changesets) {
+      numChanges = changesets[0].num_changes;
+      return knex('current_way_nodes').join('current_ways', 'way_id', 'current_ways.id')
+      .where('current_ways.changeset_id', cid).andWhere('current_ways.visible', true)
+      .select('node_id');
+    })
+    .then(function(wayNodes) {
+      return knex('current_nodes').where('id', wayNodes[0].node_id);
+    })
+    .then(function(nodes) {
+      node = nodes[0];
+      cs.delete('node', new Node(node));
+      cs.get()['delete']['if-unused'] = true;
+      return server.injectThen({
+        method: 'POST',
+        url: '/changeset/' + cid + '/upload',
+        headers: { accept: 'text/xml' },
+        payload: { osmChange: cs.get() }
+      });
+    })
+    .then(function(res) {
+      res.statusCode.should.equal(200);
+      var diff = libxml.parseXmlString(res.payload).find('//diffResult/node');
+      diff.length.should.equal(1);
+      diff[0].attr('old_id').value().should.equal(String(node.id));
+      diff[0].attr('new_id').value().should.equal(String(node.id));
+      diff[0].attr('new_version').value().should.equal(String(node.version));
+      return knex('changesets').where('id', cid);
+    })
+    .then(function(changesets) {
+      changesets[0].num_changes.should.equal(numChanges);
+      done();
+    })
+    .catch(done);
+  });
+
   it('Deletes 1 relation', function(done) {
     knex('current_relations').where('changeset_id', cid).then(function(relations) {
       relations = relations[0];
@@ -272,4 +374,158 @@ describe('changeset upload endpoint', function() {
       })
       .catch(done);
   });
+
+  it('Increments the version of a modified node', function(done) {
+    knex('current_nodes').where('changeset_id', cid).andWhere('visible', true)
+    .then(function(nodes) {
+      var node = nodes[0];
+      node.changeset = cid;
+      cs.modify('node', new Node(node));
+      return testChangeset.upload(cs.get()).then(function() {
+        return knex('current_nodes').where('id', node.id);
+      })
+      .then(function(modified) {
+        (+modified[0].version).should.equal(+node.version + 1);
+        done();
+      });
+    })
+    .catch(done);
+  });
+
+  it('Rejects a modification with a stale version', function(done) {
+    knex('current_nodes').where('changeset_id', cid).andWhere('visible', true)
+    .then(function(nodes) {
+      var node = nodes[0];
+      node.changeset = cid;
+      node.version = +node.version - 1;
+      cs.modify('node', new Node(node));
+      return server.injectThen({
+        method: 'POST',
+        url: '/changeset/' + cid + '/upload',
+        payload: { osmChange: cs.get() }
+      })
+      .then(function(res) {
+        res.statusCode.should.equal(409);
+        var conflict = JSON.parse(res.payload).conflicts[0];
+        conflict.type.should.equal('node');
+        (conflict.id).should.equal(+node.id);
+        (conflict.actual).should.equal(node.version + 1);
+        done();
+      });
+    })
+    .catch(done);
+  });
+
+  it('Returns a diffResult if XML is accepted', function(done) {
+    knex('current_nodes').where('changeset_id', cid).andWhere('visible', true)
+    .then(function(nodes) {
+      var node = nodes[0];
+      node.changeset = cid;
+      cs.create('node', new Node({changeset: cid}));
+      cs.modify('node', new Node(node));
+      return server.injectThen({
+        method: 'POST',
+        url: '/changeset/' + cid + '/upload',
+        headers: { accept: 'text/xml' },
+        payload: { osmChange: cs.get() }
+      })
+      .then(function(res) {
+        res.statusCode.should.equal(200);
+        res.headers['content-type'].should.startWith('text/xml');
+        var doc = libxml.parseXmlString(res.payload);
+        var diff = doc.find('//diffResult/node');
+        diff.length.should.equal(2);
+        diff[0].attr('old_id').value().should.equal('-1');
+        diff[0].attr('new_version').value().should.equal('1');
+        diff[1].attr('old_id').value().should.equal(String(node.id));
+        diff[1].attr('new_id').value().should.equal(String(node.id));
+        diff[1].attr('new_version').value().should.equal(String(+node.version + 1));
+        done();
+      });
+    })
+    .catch(done);
+  });
+
+  it('Warns about tags that do not follow the tag schema', function(done) {
+    var nodes = makeNodes(cid, 2);
+    var way = new Way({changeset: cid}).nodes(nodes)
+      .tags({ k: 'highway', v: 'secondary' })
+      .tags({ k: 'or_responsibility', v: 'provincal' });
+    cs.create('node', nodes).create('way', way);
+    testChangeset.upload(cs.get())
+    .then(function(res) {
+      var result = JSON.parse(res.payload);
+      result.created.way.should.have.property('-1');
+      _.pluck(result.warnings, 'key').should.containEql('or_responsibility');
+      _.pluck(result.warnings, 'key').should.containEql('surface');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('Rejects tags that do not follow the tag schema in strict mode', function(done) {
+    var nodes = makeNodes(cid, 2);
+    var way = new Way({changeset: cid}).nodes(nodes)
+      .tags({ k: 'highway', v: 'track' })
+      .tags({ k: 'rd_cond', v: 'bad' })
+      .tags({ k: 'surface', v: 'mud' });
+    cs.create('node', nodes).create('way', way);
+    server.injectThen({
+      method: 'POST',
+      url: '/changeset/' + cid + '/upload?strictTags=true',
+      payload: { osmChange: cs.get() }
+    })
+    .then(function(res) {
+      res.statusCode.should.equal(400);
+      var result = JSON.parse(res.payload);
+      _.pluck(result.invalidTags, 'key').sort().should.eql(['rd_cond', 'surface']);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('Saves nothing in a dry run', function(done) {
+    cs.create('node', new Node({changeset: cid, lat: 9.6, lon: 123.9}));
+    server.injectThen({
+      method: 'POST',
+      url: '/changeset/' + cid + '/upload?dryRun=true',
+      payload: { osmChange: cs.get() }
+    })
+    .then(function(res) {
+      res.statusCode.should.equal(200);
+      var result = JSON.parse(res.payload);
+      result.dryRun.should.equal(true);
+      result.valid.should.equal(true);
+      result.created.node.should.have.property('-1');
+      return knex('current_nodes').where('id', result.created.node['-1']);
+    })
+    .then(function(nodes) {
+      nodes.length.should.equal(0);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('Reports conflicts in a dry run', function(done) {
+    knex('current_nodes').where('changeset_id', cid).andWhere('visible', true)
+    .then(function(nodes) {
+      var node = nodes[0];
+      node.changeset = cid;
+      node.version = +node.version - 1;
+      cs.modify('node', new Node(node));
+      return server.injectThen({
+        method: 'POST',
+        url: '/changeset/' + cid + '/upload?dryRun=true',
+        payload: { osmChange: cs.get() }
+      });
+    })
+    .then(function(res) {
+      res.statusCode.should.equal(200);
+      var result = JSON.parse(res.payload);
+      result.valid.should.equal(false);
+      result.errors[0].statusCode.should.equal(409);
+      done();
+    })
+    .catch(done);
+  });
 });
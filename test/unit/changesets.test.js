@@ -0,0 +1,103 @@
+'use strict';
+
+var Node = require('./helpers/create-node.js');
+var Change = require('./helpers/create-changeset.js');
+var serverTest = require('./helpers/server-test');
+
+var testChangeset = new serverTest.testChangeset(99, 'openroads', 'listing');
+var get = serverTest.createGet('/changesets');
+
+describe('changesets endpoint', function() {
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  before('Create and upload a changeset', function (done) {
+    testChangeset.create()
+      .then(function (changesetId) {
+        var cs = new Change();
+        cs.create('node', new Node({ changeset: changesetId, lat: 9.5, lon: 123.8 }));
+        return testChangeset.upload(cs.get());
+      })
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  function find(changesets) {
+    return changesets.filter(function (changeset) {
+      return +changeset.id === +testChangeset.changesetId;
+    })[0];
+  }
+
+  it('lists open changesets of a user with their tags and bbox', function(done) {
+    get('?user=99&open=true').then(function(res) {
+      res.statusCode.should.eql(200);
+      var changeset = find(JSON.parse(res.payload));
+      changeset.open.should.equal(true);
+      changeset.num_changes.should.equal(1);
+      changeset.tags.comment.should.equal('listing');
+      changeset.bbox.should.eql([123.8, 9.5, 123.8, 9.5]);
+      done();
+    }).catch(done);
+  });
+
+  it('filters changesets by bbox', function(done) {
+    get('?bbox=0,0,1,1&user=99').then(function(res) {
+      res.statusCode.should.eql(200);
+      (find(JSON.parse(res.payload)) === undefined).should.equal(true);
+      done();
+    }).catch(done);
+  });
+
+  it('does not list open changesets as closed', function(done) {
+    get('?closed=true&user=openroads').then(function(res) {
+      res.statusCode.should.eql(200);
+      (find(JSON.parse(res.payload)) === undefined).should.equal(true);
+      done();
+    }).catch(done);
+  });
+
+  it('does not filter on open=false', function(done) {
+    get('?user=99&open=false').then(function(res) {
+      res.statusCode.should.eql(200);
+      find(JSON.parse(res.payload)).open.should.equal(true);
+      done();
+    }).catch(done);
+  });
+
+  it('filters changesets by the part of bbox in an admin area', function(done) {
+    // Palawan does not reach the changeset, which is in Bohol.
+    get('?admin=13590000000&bbox=123,9,124,10&user=99').then(function(res) {
+      res.statusCode.should.eql(200);
+      (find(JSON.parse(res.payload)) === undefined).should.equal(true);
+      done();
+    }).catch(done);
+  });
+
+  it('fails with an unknown admin area', function(done) {
+    get('?admin=1').then(function(res) {
+      res.statusCode.should.eql(404);
+      done();
+    }).catch(done);
+  });
+
+  it('fails with an admin area ID that is not a number', function(done) {
+    get('?admin=bohol').then(function(res) {
+      res.statusCode.should.eql(400);
+      done();
+    }).catch(done);
+  });
+
+  it('fails with an invalid time', function(done) {
+    get('?time=yesterday').then(function(res) {
+      res.statusCode.should.eql(400);
+      done();
+    }).catch(done);
+  });
+});
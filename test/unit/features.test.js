@@ -0,0 +1,102 @@
+'use strict';
+var Node = require('./helpers/create-node.js');
+var Way = require('./helpers/create-way.js');
+var Change = require('./helpers/create-changeset.js');
+var serverTest = require('./helpers/server-test');
+
+var testChangeset = new serverTest.testChangeset();
+var getNode = serverTest.createGet('/node');
+var getWay = serverTest.createGet('/way');
+
+describe('Node and way JSON endpoints', function() {
+  var created;
+
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  before('Create changeset', function (done) {
+    testChangeset.create()
+      .then(function (changesetId) {
+        var cs = new Change();
+        var nodes = [
+          new Node({ id: -1, changeset: changesetId, lat: 9.61, lon: 123.81 })
+            .tags({ k: 'name', v: 'Junction' }),
+          new Node({ id: -2, changeset: changesetId, lat: 9.62, lon: 123.82 })
+        ];
+        var way = new Way({ changeset: changesetId }).nodes(nodes)
+          .tags({ k: 'highway', v: 'road' });
+        cs.create('node', nodes).create('way', way);
+        return testChangeset.upload(cs.get());
+      })
+      .then(function (res) {
+        created = JSON.parse(res.payload).created;
+        return done();
+      })
+      .catch(done);
+  });
+
+  it('returns a node as JSON', function(done) {
+    getNode('/' + created.node['-1']).then(function(res) {
+      res.statusCode.should.eql(200);
+      var payload = JSON.parse(res.payload);
+      payload.should.have.keys('type', 'id', 'visible', 'version', 'changeset',
+        'timestamp', 'tags', 'lat', 'lon');
+      payload.tags.should.eql({ name: 'Junction' });
+      payload.lat.should.equal(9.61);
+      payload.lon.should.equal(123.81);
+      done();
+    }).catch(done);
+  });
+
+  it('returns a node as GeoJSON', function(done) {
+    getNode('/' + created.node['-1'] + '?format=geojson').then(function(res) {
+      res.statusCode.should.eql(200);
+      var feature = JSON.parse(res.payload).features[0];
+      feature.geometry.should.eql({ type: 'Point', coordinates: [123.81, 9.61] });
+      feature.properties.should.eql({ name: 'Junction' });
+      done();
+    }).catch(done);
+  });
+
+  it('returns a way as JSON', function(done) {
+    getWay('/' + created.way['-1']).then(function(res) {
+      res.statusCode.should.eql(200);
+      var payload = JSON.parse(res.payload);
+      payload.type.should.equal('way');
+      payload.tags.should.eql({ highway: 'road' });
+      payload.nodes.should.eql([+created.node['-1'], +created.node['-2']]);
+      payload.length_km.should.equal(1.558);
+      done();
+    }).catch(done);
+  });
+
+  it('returns a way as GeoJSON', function(done) {
+    getWay('/' + created.way['-1'] + '?format=geojson').then(function(res) {
+      res.statusCode.should.eql(200);
+      var feature = JSON.parse(res.payload).features[0];
+      feature.geometry.type.should.equal('LineString');
+      feature.geometry.coordinates.should.have.lengthOf(2);
+      feature.properties.length_km.should.equal(1.558);
+      done();
+    }).catch(done);
+  });
+
+  it('returns a 404 for a missing way', function(done) {
+    getWay('/999999999').then(function(res) {
+      res.statusCode.should.eql(404);
+      done();
+    }).catch(done);
+  });
+
+  it('returns a 400 for an unknown format', function(done) {
+    getNode('/' + created.node['-1'] + '?format=xml').then(function(res) {
+      res.statusCode.should.eql(400);
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,125 @@
+'use strict';
+var knex = require('../../connection.js');
+var serverTest = require('./helpers/server-test');
+
+var testChangeset = new serverTest.testChangeset();
+
+function post(payload) {
+  return server.injectThen({
+    method: 'POST',
+    url: '/upload/geojson/' + testChangeset.changesetId,
+    payload: payload
+  });
+}
+
+function line(coordinates, properties) {
+  return {
+    type: 'Feature',
+    properties: properties || {},
+    geometry: { type: 'LineString', coordinates: coordinates }
+  };
+}
+
+describe('GeoJSON upload endpoint', function() {
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  before('Create changeset', function (done) {
+    testChangeset.create()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  var created;
+
+  it('creates ways, nodes and tags from lines', function(done) {
+    post({
+      type: 'FeatureCollection',
+      features: [
+        line([[123.81, 9.61], [123.82, 9.62], [123.83, 9.63]], { highway: 'road', surface: 'gravel' }),
+        line([[123.83, 9.63], [123.84, 9.64]], { highway: 'road' })
+      ]
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      created = JSON.parse(res.payload).created;
+      Object.keys(created.way).length.should.eql(2);
+      // The lines share the node at their common end.
+      Object.keys(created.node).length.should.eql(4);
+      return knex('current_way_tags').where('way_id', created.way['-1']);
+    })
+    .then(function(tags) {
+      tags.length.should.eql(2);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('connects lines to existing nodes', function(done) {
+    post(line([[123.84, 9.64], [123.85, 9.65]], { highway: 'road' }))
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var result = JSON.parse(res.payload).created;
+      Object.keys(result.node).length.should.eql(1);
+      return knex('current_way_nodes').where('way_id', result.way['-1']).orderBy('sequence_id');
+    })
+    .then(function(wayNodes) {
+      (+wayNodes[0].node_id).should.eql(+created.node['-4']);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('fails with polygons', function(done) {
+    post({
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(400);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('does not keep a new changeset after a dry run or a failed upload', function(done) {
+    var road = line([[123.85, 9.65], [123.86, 9.66]], { highway: 'road', colour: 'red' });
+    var lastId;
+    knex('changesets').max('id as id')
+    .then(function(rows) {
+      lastId = +rows[0].id;
+      return server.injectThen({
+        method: 'POST',
+        url: '/upload/geojson?dryRun=true',
+        payload: road
+      });
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      JSON.parse(res.payload).dryRun.should.equal(true);
+      // Rejected for its unknown tag.
+      return server.injectThen({
+        method: 'POST',
+        url: '/upload/geojson?strictTags=true',
+        payload: road
+      });
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(400);
+      return knex('changesets').where('id', '>', lastId);
+    })
+    .then(function(changesets) {
+      changesets.length.should.eql(0);
+      done();
+    })
+    .catch(done);
+  });
+});
@@ -1,4 +1,5 @@
 'use strict';
+var Promise = require('bluebird');
 var knex = require('../../../connection');
 
 module.exports.createGet = function createGet(base) {
@@ -72,11 +73,33 @@ module.exports.testChangeset = function testChangeset(uid, user, comment) {
         .from('current_relations')
         .where('changeset_id', _self.changesetId);
 
-      return transaction('current_way_nodes')
-        .whereIn('node_id', nodeIds)
-        .orWhereIn('way_id', wayIds)
-        .del()
-        .returning('*')
+      // History rows reference the changeset, so they go first.
+      var history = [
+        ['node_tags', 'nodes', 'node_id'],
+        ['way_tags', 'ways', 'way_id'],
+        ['way_nodes', 'ways', 'way_id'],
+        ['relation_tags', 'relations', 'relation_id'],
+        ['relation_members', 'relations', 'relation_id']
+      ];
+
+      return Promise.each(history, function(tables) {
+        return transaction.raw('delete from ' + tables[0] + ' t using ' +
+          tables[1] + ' e where t.' + tables[2] + ' = e.' + tables[2] +
+          ' and t.version = e.version and e.changeset_id = ?',
+          [_self.changesetId]);
+      })
+        .then(function() {
+          return Promise.each(['nodes', 'ways', 'relations'], function(table) {
+            return transaction(table).where('changeset_id', _self.changesetId).del();
+          });
+        })
+        .then(function() {
+          return transaction('current_way_nodes')
+            .whereIn('node_id', nodeIds)
+            .orWhereIn('way_id', wayIds)
+            .del()
+            .returning('*');
+        })
         .then(function(deleted) {
           console.log(deleted.length, 'way nodes deleted');
           return transaction('current_way_tags').whereIn('way_id', wayIds).del().returning('*');
@@ -107,6 +130,9 @@ module.exports.testChangeset = function testChangeset(uid, user, comment) {
         })
         .then(function(deleted) {
           console.log(deleted.length, 'relations deleted');
+          return transaction('changeset_tags').where('changeset_id', _self.changesetId).del();
+        })
+        .then(function() {
           return transaction('changesets').where('id', _self.changesetId).del().returning('*');
         })
         .then(function(deleted) {
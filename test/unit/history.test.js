@@ -0,0 +1,104 @@
+'use strict';
+var libxml = require('libxmljs');
+
+var Node = require('./helpers/create-node.js');
+var Change = require('./helpers/create-changeset.js');
+var serverTest = require('./helpers/server-test');
+
+var testChangeset = new serverTest.testChangeset();
+var get = serverTest.createGet('/xml');
+
+describe('History endpoints', function() {
+  var nodeId;
+
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  before('Create and modify a node', function (done) {
+    testChangeset.create()
+      .then(function (changesetId) {
+        var cs = new Change();
+        cs.create('node', new Node({ changeset: changesetId })
+          .tags({ k: 'or_condition', v: 'good' }));
+        return testChangeset.upload(cs.get())
+          .then(function (res) {
+            nodeId = res.result.created.node['-1'];
+            cs.wipe();
+            cs.modify('node', new Node({
+              id: nodeId,
+              version: 1,
+              changeset: changesetId
+            }).tags({ k: 'or_condition', v: 'poor' }));
+            return testChangeset.upload(cs.get());
+          });
+      })
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  it('Returns every version of a node', function(done) {
+    get('/node/' + nodeId + '/history').then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXmlString(res.payload);
+      var versions = doc.find('//node');
+      versions.should.have.lengthOf(2);
+      versions[0].attr('version').value().should.equal('1');
+      versions[1].attr('version').value().should.equal('2');
+      doc.get('//node[@version="1"]/tag').attr('v').value().should.equal('good');
+      doc.get('//node[@version="2"]/tag').attr('v').value().should.equal('poor');
+      done();
+    }).catch(done);
+  });
+
+  it('Returns a single version of a node', function(done) {
+    get('/node/' + nodeId + '/1').then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXmlString(res.payload);
+      doc.find('//node').should.have.lengthOf(1);
+      doc.get('//node').attr('user').value().should.equal('openroads');
+      done();
+    }).catch(done);
+  });
+
+  it('Returns a 404 for a version that does not exist', function(done) {
+    get('/node/' + nodeId + '/3').then(function(res) {
+      res.statusCode.should.eql(404);
+      done();
+    }).catch(done);
+  });
+
+  it('Downloads the changeset as osmChange XML', function(done) {
+    server.injectThen({
+      method: 'GET',
+      url: '/changeset/' + testChangeset.changesetId + '/download'
+    }).then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXmlString(res.payload);
+      doc.find('/osmChange/create/node').should.have.lengthOf(1);
+      doc.find('/osmChange/modify/node').should.have.lengthOf(1);
+      doc.get('/osmChange/modify/node').attr('id').value()
+        .should.equal(String(nodeId));
+      done();
+    }).catch(done);
+  });
+
+  it('Downloads the changeset as osmChange JSON', function(done) {
+    server.injectThen({
+      method: 'GET',
+      url: '/changeset/' + testChangeset.changesetId + '/download?format=json'
+    }).then(function(res) {
+      res.statusCode.should.eql(200);
+      var change = JSON.parse(res.payload).osmChange;
+      change.create.node.should.have.lengthOf(1);
+      change.modify.node[0].tag[0].v.should.equal('poor');
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+var fs = require('fs');
+var Promise = require('bluebird');
+var serverTest = require('./helpers/server-test');
+
+var testChangeset = new serverTest.testChangeset();
+var get = serverTest.createGet('/imports/');
+
+// Poll an import until it is over.
+function finished(id) {
+  return get(id).then(function(res) {
+    var job = JSON.parse(res.payload);
+    if (job.status === 'queued' || job.status === 'running') {
+      return Promise.delay(100).then(function() {
+        return finished(id);
+      });
+    }
+    return job;
+  });
+}
+
+describe('imports endpoint', function() {
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  before('Create changeset', function (done) {
+    testChangeset.create()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  var data = fs.readFileSync(require.resolve('./fixtures/osc-malvar-road.xml'));
+
+  it('imports a file in the background', function(done) {
+    server.injectThen({
+      method: 'POST',
+      url: '/imports?changeset=' + testChangeset.changesetId,
+      payload: data
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(202);
+      var job = JSON.parse(res.payload);
+      job.status.should.eql('queued');
+      return finished(job.id);
+    })
+    .then(function(job) {
+      job.status.should.eql('done');
+      job.progress.should.eql(1);
+      job.timings.should.have.properties('parse', 'nodes', 'ways', 'changeset');
+      job.result.changeset.id.should.eql(testChangeset.changesetId);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('reports the errors of a failed import', function(done) {
+    server.injectThen({
+      method: 'POST',
+      url: '/imports?changeset=' + testChangeset.changesetId,
+      payload: '<osmChange><create><way id="-1"><nd ref="-1"/></way></create></osmChange>'
+    })
+    .then(function(res) {
+      return finished(JSON.parse(res.payload).id);
+    })
+    .then(function(job) {
+      job.status.should.eql('failed');
+      job.errors[0].statusCode.should.eql(400);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('fails with an unknown import', function(done) {
+    get('0').then(function(res) {
+      res.statusCode.should.eql(404);
+      done();
+    }).catch(done);
+  });
+});
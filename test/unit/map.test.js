@@ -3,6 +3,12 @@
 var fs = require('fs');
 var libxml = require('libxmljs');
 
+var Node = require('./helpers/create-node.js');
+var Way = require('./helpers/create-way.js');
+var Relation = require('./helpers/create-relation.js');
+var Change = require('./helpers/create-changeset.js');
+var serverTest = require('./helpers/server-test');
+
 function request (bbox) {
   return {
     method: 'GET',
@@ -39,7 +45,7 @@ describe('map endpoint', function () {
 
   it('yields an empty response when the given bounding box is empty',
   function (done) {
-    var expected = '<?xml version="1.0" encoding="UTF-8"?>\n<osm version="6" generator="DevelopmentSeed">\n  <bounds minlat="-0.1" minlon="-0.1" maxlat="0.1" maxlon="0.1"/>\n</osm>\n';
+    var expected = '<?xml version="1.0" encoding="UTF-8"?>\n<osm version="0.6" generator="DevelopmentSeed">\n  <bounds minlat="-0.1" minlon="-0.1" maxlat="0.1" maxlon="0.1"/>\n</osm>\n';
 
     server.injectThen(request('-0.1,-0.1,0.1,0.1'))
     .then(function (res) {
@@ -83,6 +89,101 @@ describe('map endpoint', function () {
   */
 });
 
+describe('map endpoints with the OSM map call rules', function () {
+  var testChangeset = new serverTest.testChangeset();
+  var bbox = '120.001,5.001,120.009,5.009';
+  var created;
+
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  // A way that leaves the bounding box, a kilometer post on its own,
+  // and a relation with a member outside of the bounding box.
+  before(function (done) {
+    testChangeset.create()
+      .then(function (changesetId) {
+        var cs = new Change();
+        var inside = new Node({ id: -1, changeset: changesetId, lat: 5.005, lon: 120.005 });
+        var outside = new Node({ id: -2, changeset: changesetId, lat: 5.02, lon: 120.02 });
+        var post = new Node({ id: -3, changeset: changesetId, lat: 5.006, lon: 120.006 })
+          .tags({ k: 'highway', v: 'milestone' });
+        var far = new Node({ id: -4, changeset: changesetId, lat: 5.5, lon: 120.5 });
+        var way = new Way({ id: -1, changeset: changesetId }).nodes([inside, outside])
+          .tags({ k: 'highway', v: 'road' });
+        var relation = new Relation({ id: -1, changeset: changesetId })
+          .members('node', [post, far]);
+        cs.create('node', [inside, outside, post, far]).create('way', way)
+          .create('relation', relation);
+        return testChangeset.upload(cs.get());
+      })
+      .then(function (res) {
+        created = JSON.parse(res.payload).created;
+        return done();
+      })
+      .catch(done);
+  });
+
+  it('returns every node of the ways, standalone nodes, and relations', function (done) {
+    server.injectThen(request(bbox))
+    .then(function (res) {
+      res.statusCode.should.equal(200);
+      var doc = libxml.parseXml(res.payload);
+      var nodeIds = doc.find('//node').map(function (node) {
+        return node.attr('id').value();
+      });
+      nodeIds.sort().should.eql([created.node['-1'], created.node['-2'], created.node['-3']].sort());
+      doc.find('//way/tag').should.have.lengthOf(1);
+      // Relations come with all their members.
+      doc.find('//relation/member').should.have.lengthOf(2);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns tagged standalone nodes as points in GeoJSON', function (done) {
+    server.injectThen({
+      method: 'GET',
+      url: '/map?bbox=' + bbox
+    })
+    .then(function (res) {
+      res.statusCode.should.equal(200);
+      var features = JSON.parse(res.payload).features;
+      features.map(function (feature) {
+        return feature.geometry.type;
+      }).sort().should.eql(['LineString', 'Point']);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns the length of the roads in GeoJSON', function (done) {
+    server.injectThen({
+      method: 'GET',
+      url: '/map?bbox=' + bbox
+    })
+    .then(function (res) {
+      res.statusCode.should.equal(200);
+      var features = JSON.parse(res.payload).features;
+      features.forEach(function (feature) {
+        if (feature.geometry.type === 'Point') {
+          feature.properties.should.not.have.property('length_km');
+        }
+        else {
+          // The whole road, even the part outside of the bounding box.
+          feature.properties.length_km.should.equal(2.349);
+        }
+      });
+      done();
+    })
+    .catch(done);
+  });
+});
+
 describe.skip('geojson map endpoint', function() {
   /*
   it('returns the complete way when part lies outside bbox',
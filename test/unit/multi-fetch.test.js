@@ -0,0 +1,104 @@
+'use strict';
+var libxml = require('libxmljs');
+
+var Node = require('./helpers/create-node.js');
+var Way = require('./helpers/create-way.js');
+var Relation = require('./helpers/create-relation.js');
+var Change = require('./helpers/create-changeset.js');
+var serverTest = require('./helpers/server-test');
+
+var testChangeset = new serverTest.testChangeset();
+var get = serverTest.createGet('/xml');
+
+describe('Multi-fetch endpoints', function() {
+  var created;
+
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  before('Create changeset', function (done) {
+    testChangeset.create()
+      .then(function (changesetId) {
+        var cs = new Change();
+        var nodes = [
+          new Node({ id: -1, changeset: changesetId }),
+          new Node({ id: -2, changeset: changesetId })
+        ];
+        var ways = [
+          new Way({ id: -1, changeset: changesetId }).nodes(nodes),
+          new Way({ id: -2, changeset: changesetId }).nodes(nodes)
+        ];
+        var relation = new Relation({ id: -1, changeset: changesetId })
+          .members('way', ways[0]);
+        cs.create('node', nodes).create('way', ways).create('relation', relation);
+        return testChangeset.upload(cs.get());
+      })
+      .then(function (res) {
+        created = JSON.parse(res.payload).created;
+        return done();
+      })
+      .catch(done);
+  });
+
+  it('returns the requested nodes', function(done) {
+    get('/nodes?nodes=' + created.node['-1'] + ',' + created.node['-2'])
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.find('//node').should.have.lengthOf(2);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns the requested ways, without their nodes', function(done) {
+    get('/ways?ways=' + created.way['-1'] + ',' + created.way['-2'])
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.find('//way').should.have.lengthOf(2);
+      doc.find('//way/nd').should.have.lengthOf(4);
+      doc.find('//node').should.have.lengthOf(0);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns the requested relations', function(done) {
+    get('/relations?relations=' + created.relation['-1'])
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.find('//relation/member').should.have.lengthOf(1);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns a 404 if one of the ids is missing', function(done) {
+    get('/nodes?nodes=' + created.node['-1'] + ',999999999')
+    .then(function(res) {
+      res.statusCode.should.eql(404);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns a 400 if the ids are not valid', function(done) {
+    get('/ways?ways=1,a')
+    .then(function(res) {
+      res.statusCode.should.eql(400);
+      return get('/relations');
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(400);
+      done();
+    })
+    .catch(done);
+  });
+});
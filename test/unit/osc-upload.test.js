@@ -1,5 +1,6 @@
 'use strict';
 var fs = require('fs');
+var knex = require('../../connection.js');
 var serverTest = require('./helpers/server-test');
 
 var testChangeset = new serverTest.testChangeset();
@@ -42,6 +43,40 @@ describe('OScUploadController', function() {
       serverShouldStatus(data, done, 200);
     });
 
+    it('Should save relations and their members', function(done) {
+      var osc = '<osmChange version="0.6"><create>' +
+        '<node id="-1" lon="123.8" lat="9.5" version="0"/>' +
+        '<relation id="-1" version="0"><member type="node" ref="-1" role="stop"/>' +
+        '<tag k="type" v="route"/></relation>' +
+        '</create></osmChange>';
+      server.injectThen({
+        method: 'POST',
+        url: '/upload/' + testChangeset.changesetId,
+        payload: osc
+      })
+      .then(function(res) {
+        res.statusCode.should.eql(200);
+        var created = JSON.parse(res.payload).created;
+        return knex('current_relation_members')
+          .where('relation_id', created.relation['-1'])
+          .then(function(members) {
+            members.length.should.eql(1);
+            members[0].member_type.should.eql('Node');
+            (+members[0].member_id).should.eql(+created.node['-1']);
+            members[0].member_role.should.eql('stop');
+            done();
+          });
+      })
+      .catch(done);
+    });
+
+    it('Should break when a placeholder id can not be resolved', function(done) {
+      var osc = '<osmChange version="0.6"><create>' +
+        '<relation id="-1" version="0"><member type="way" ref="-5" role=""/></relation>' +
+        '</create></osmChange>';
+      serverShouldStatus(osc, done, 400);
+    });
+
     it('Should break when uploading a malformed file', function(done) {
       data[0] = 0;
       serverShouldStatus(data, done, 400);
@@ -0,0 +1,147 @@
+'use strict';
+var knex = require('../../connection.js');
+var PBF = require('../../services/pbf.js');
+var serverTest = require('./helpers/server-test');
+
+var testChangeset = new serverTest.testChangeset();
+
+// Entities as they come out of the database, scaled by RATIO.
+var file = PBF.write({
+  nodes: [
+    { id: 1, latitude: 96100000, longitude: 1238100000, tags: [{ k: 'name', v: 'Start' }] },
+    { id: 2, latitude: 96200000, longitude: 1238200000 },
+    { id: 3, latitude: 96300000, longitude: 1238300000 }
+  ],
+  ways: [
+    {
+      id: 1,
+      tags: [{ k: 'highway', v: 'road' }],
+      nodes: [
+        { node_id: 1, sequence_id: 0 },
+        { node_id: 2, sequence_id: 1 },
+        { node_id: 3, sequence_id: 2 }
+      ]
+    }
+  ]
+});
+
+describe('PBF endpoints', function() {
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  before('Create changeset', function (done) {
+    testChangeset.create()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  it('creates the entities of a PBF file', function(done) {
+    var created;
+    server.injectThen({
+      method: 'POST',
+      url: '/upload/pbf/' + testChangeset.changesetId,
+      payload: file
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      created = JSON.parse(res.payload).created;
+      Object.keys(created.node).length.should.eql(3);
+      Object.keys(created.way).length.should.eql(1);
+      return knex('current_way_nodes').where('way_id', created.way['-1']).orderBy('sequence_id');
+    })
+    .then(function(wayNodes) {
+      wayNodes.map(function(wayNode) {
+        return +wayNode.node_id;
+      }).should.eql([+created.node['-1'], +created.node['-2'], +created.node['-3']]);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('creates the entities of a file with negative ids', function(done) {
+    // As editors write new entities, which mustn't be read as existing ones.
+    var newEntities = PBF.write({
+      nodes: [
+        { id: -1, latitude: 96400000, longitude: 1238400000 },
+        { id: 1, latitude: 96500000, longitude: 1238500000 }
+      ],
+      ways: [
+        {
+          id: -1,
+          tags: [{ k: 'highway', v: 'road' }],
+          nodes: [
+            { node_id: 1, sequence_id: 0 },
+            { node_id: -1, sequence_id: 1 }
+          ]
+        }
+      ]
+    });
+    var created;
+    server.injectThen({
+      method: 'POST',
+      url: '/upload/pbf/' + testChangeset.changesetId,
+      payload: newEntities
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      created = JSON.parse(res.payload).created;
+      Object.keys(created.node).length.should.eql(2);
+      return knex('current_nodes').whereIn('id', [created.node['-1'], created.node['-2']]);
+    })
+    .then(function(nodes) {
+      nodes.length.should.eql(2);
+      nodes.forEach(function(node) {
+        (+node.version).should.eql(1);
+        (+node.changeset_id).should.eql(+testChangeset.changesetId);
+      });
+      return knex('current_way_nodes').where('way_id', created.way['-1']).orderBy('sequence_id');
+    })
+    .then(function(wayNodes) {
+      wayNodes.map(function(wayNode) {
+        return +wayNode.node_id;
+      }).should.eql([+created.node['-2'], +created.node['-1']]);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('fails with a file that is not PBF', function(done) {
+    server.injectThen({
+      method: 'POST',
+      url: '/upload/pbf/' + testChangeset.changesetId,
+      payload: new Buffer('not a pbf file')
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(400);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns the entities in a bounding box', function(done) {
+    server.injectThen({
+      method: 'GET',
+      url: '/pbf/map?bbox=123.80,9.60,123.84,9.64'
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      res.headers['content-type'].should.match(/application\/x-protobuf/);
+      var ways = [];
+      return PBF.read(res.rawPayload, function(batch) {
+        ways = ways.concat(batch.create.way || []);
+      })
+      .then(function() {
+        ways.length.should.be.above(0);
+        done();
+      });
+    })
+    .catch(done);
+  });
+});
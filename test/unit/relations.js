@@ -1,4 +1,5 @@
 'use strict';
+var libxml = require('libxmljs');
 var knex = require('../../connection.js');
 
 var Node = require('./helpers/create-node.js');
@@ -85,4 +86,105 @@ describe('Relations endpoint', function() {
       done();
     }).catch(done);
   });
+
+  it('Should return a relation as JSON', function(done) {
+    serverTest.createGet('/relation')('/11').then(function(res) {
+      res.statusCode.should.eql(200);
+      var payload = JSON.parse(res.payload);
+      payload.type.should.equal('relation');
+      payload.id.should.equal(11);
+      payload.tags.should.eql({ test: 'relation_endpoint' });
+      payload.members.should.have.lengthOf(6);
+      payload.members[5].type.should.equal('way');
+      done();
+    }).catch(done);
+  });
+
+  it('Should return the members of a relation as GeoJSON', function(done) {
+    serverTest.createGet('/relation')('/11?format=geojson').then(function(res) {
+      res.statusCode.should.eql(200);
+      var payload = JSON.parse(res.payload);
+      payload.type.should.equal('FeatureCollection');
+      payload.properties.should.eql({ test: 'relation_endpoint' });
+      payload.features.should.have.lengthOf(6);
+      done();
+    }).catch(done);
+  });
+
+  it('Should return a relation as XML', function(done) {
+    serverTest.createGet('/xml/relation')('/11').then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.find('//relation').should.have.lengthOf(1);
+      doc.find('//relation/member').should.have.lengthOf(6);
+      doc.find('//node').should.have.lengthOf(0);
+      done();
+    }).catch(done);
+  });
+
+  it('Should return a relation with its members as XML', function(done) {
+    serverTest.createGet('/xml/relation')('/11/full').then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.find('//relation').should.have.lengthOf(1);
+      doc.find('//way').should.have.lengthOf(1);
+      doc.find('//way/nd').should.have.lengthOf(5);
+      // The nodes of the way are also members, and are written once.
+      doc.find('//node').should.have.lengthOf(5);
+      done();
+    }).catch(done);
+  });
+
+  it('Should return a relation, using a node member search', function(done) {
+    knex('current_relation_members')
+    .where('relation_id', 11).andWhere('member_type', 'Node').then(function(members) {
+      return get('?member=' + members[0].member_id + '&member_type=node');
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var payload = JSON.parse(res.payload);
+      payload.should.have.lengthOf(1);
+      (+payload[0].id).should.equal(11);
+      done();
+    }).catch(done);
+  });
+
+  it('Should return the ways of a node as XML', function(done) {
+    knex('current_way_nodes').where('way_id', 1).then(function(wayNodes) {
+      return serverTest.createGet('/xml/node')('/' + wayNodes[0].node_id + '/ways');
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.find('//way').should.have.lengthOf(1);
+      doc.get('//way').attr('id').value().should.equal('1');
+      done();
+    }).catch(done);
+  });
+
+  it('Should return the relations of a way as XML', function(done) {
+    serverTest.createGet('/xml/way')('/1/relations').then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.find('//relation').should.have.lengthOf(1);
+      doc.get('//relation').attr('id').value().should.equal('11');
+      done();
+    }).catch(done);
+  });
+
+  it('Should return no relations for an element without any', function(done) {
+    serverTest.createGet('/xml/relation')('/11/relations').then(function(res) {
+      res.statusCode.should.eql(200);
+      var doc = libxml.parseXml(res.payload);
+      doc.find('//relation').should.have.lengthOf(0);
+      done();
+    }).catch(done);
+  });
+
+  it('Should return a 404 for a missing relation', function(done) {
+    serverTest.createGet('/relation')('/999999999').then(function(res) {
+      res.statusCode.should.eql(404);
+      done();
+    }).catch(done);
+  });
 });
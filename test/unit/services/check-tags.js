@@ -0,0 +1,64 @@
+'use strict';
+
+var _ = require('lodash');
+var checkTags = require('../../../services/check-tags');
+var schema = require('../../../services/tag-schema');
+
+function change(tags) {
+  return {
+    create: {
+      way: [{
+        id: -1,
+        tag: _.map(tags, function(v, k) { return { k: k, v: v }; })
+      }]
+    },
+    modify: {},
+    'delete': {}
+  };
+}
+
+describe('Tag schema check', function () {
+  it('accepts roads that follow the schema', function () {
+    checkTags(change({
+      highway: 'primary',
+      or_responsibility: 'national',
+      surface: 'asphalt',
+      or_condition: 'good',
+      name: 'National Highway'
+    }), schema).should.eql([]);
+  });
+
+  it('ignores ways that are not roads', function () {
+    checkTags(change({ building: 'yes' }), schema).should.eql([]);
+  });
+
+  it('finds invalid values, unknown keys and missing keys', function () {
+    var problems = checkTags(change({
+      highway: 'tertiary',
+      or_responsibility: 'provincal',
+      or_condition: 'good',
+      colour: 'red'
+    }), schema);
+    _.pluck(problems, 'key').sort().should.eql(['colour', 'or_responsibility', 'surface']);
+    problems[0].type.should.equal('way');
+    problems[0].id.should.equal(-1);
+  });
+
+  it('reports keys that the stats do not group on', function () {
+    var problems = checkTags(change({
+      highway: 'road',
+      surface: 'gravel',
+      or_condition: 'poor',
+      rd_cond: 'bad'
+    }), schema);
+    problems.length.should.equal(1);
+    problems[0].key.should.equal('rd_cond');
+    problems[0].value.should.equal('bad');
+  });
+
+  it('finds unknown highway classes', function () {
+    var problems = checkTags(change({ highway: 'footway' }), schema);
+    problems.length.should.equal(1);
+    problems[0].value.should.equal('footway');
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+var clip = require('../../../services/clip');
+
+function line(coordinates) {
+  return {
+    type: 'Feature',
+    properties: { highway: 'primary' },
+    geometry: { type: 'LineString', coordinates: coordinates }
+  };
+}
+
+function coordinates(features) {
+  return features.map(function (feature) {
+    return feature.geometry.coordinates;
+  });
+}
+
+describe('Clipping roads', function () {
+  var square = {
+    type: 'Feature',
+    properties: {},
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]]
+    }
+  };
+
+  it('keeps roads that are inside', function () {
+    var roads = clip([line([[1, 1], [2, 2], [3, 1]])], square);
+    coordinates(roads).should.eql([[[1, 1], [2, 2], [3, 1]]]);
+    roads[0].properties.should.eql({ highway: 'primary' });
+  });
+
+  it('cuts roads where they cross the boundary', function () {
+    var roads = clip([line([[-5, 5], [5, 5], [5, 15]])], square);
+    coordinates(roads).should.eql([[[0, 5], [5, 5], [5, 10]]]);
+  });
+
+  it('keeps straight roads with no vertex inside', function () {
+    var roads = clip([line([[-5, 5], [15, 5]])], square);
+    coordinates(roads).should.eql([[[0, 5], [10, 5]]]);
+  });
+
+  it('splits roads that leave and enter again', function () {
+    var roads = clip([line([[2, 5], [2, 15], [8, 15], [8, 5]])], square);
+    coordinates(roads).should.eql([[[2, 5], [2, 10]], [[8, 10], [8, 5]]]);
+  });
+
+  it('leaves out roads that are outside', function () {
+    clip([line([[-5, -5], [-1, 20]])], square).should.have.lengthOf(0);
+  });
+
+  it('leaves out the holes of polygons', function () {
+    var withHole = {
+      type: 'Polygon',
+      coordinates: [
+        [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+        [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+      ]
+    };
+    var roads = clip([line([[-5, 5], [15, 5]])], withHole);
+    coordinates(roads).should.eql([[[0, 5], [4, 5]], [[6, 5], [10, 5]]]);
+  });
+
+  it('clips to every polygon of a MultiPolygon', function () {
+    var islands = {
+      type: 'Feature',
+      properties: {},
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: [
+          [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]],
+          [[[20, 0], [30, 0], [30, 10], [20, 10], [20, 0]]]
+        ]
+      }
+    };
+    var roads = clip([line([[-5, 5], [35, 5]]), line([[25, 2], [25, 8]])], islands);
+    coordinates(roads).should.eql([
+      [[0, 5], [10, 5]],
+      [[20, 5], [30, 5]],
+      [[25, 2], [25, 8]]
+    ]);
+  });
+});
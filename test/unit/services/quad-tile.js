@@ -0,0 +1,48 @@
+'use strict';
+
+var QuadTile = require('../../../services/quad-tile');
+
+// Every tile of a bounding box, one cell at a time.
+function allTiles(bbox) {
+  var tiles = [];
+  for (var x = QuadTile.lon2x(bbox.minLon); x <= QuadTile.lon2x(bbox.maxLon); x++) {
+    for (var y = QuadTile.lat2y(bbox.minLat); y <= QuadTile.lat2y(bbox.maxLat); y++) {
+      tiles.push(QuadTile.xy2tile(x, y));
+    }
+  }
+  return tiles.sort(function (a, b) { return a - b; });
+}
+
+function expand(ranges) {
+  var tiles = [];
+  ranges.forEach(function (range) {
+    for (var tile = range[0]; tile <= range[1]; tile++) {
+      tiles.push(tile);
+    }
+  });
+  return tiles;
+}
+
+describe('QuadTile helper', function () {
+  var bboxes = {
+    'a province': { minLon: 123.8, minLat: 9.5, maxLon: 124.35, maxLat: 10.05 },
+    'the origin': { minLon: -0.1, minLat: -0.1, maxLon: 0.1, maxLat: 0.1 },
+    'a corner of the world': { minLon: 179.9, minLat: 89.9, maxLon: 180, maxLat: 90 },
+    'a single tile': { minLon: 123.81, minLat: 9.58, maxLon: 123.81, maxLat: 9.58 }
+  };
+
+  Object.keys(bboxes).forEach(function (name) {
+    it('finds the tiles of ' + name + ' as ranges', function () {
+      var bbox = bboxes[name];
+      expand(QuadTile.tileRangesForArea(bbox)).should.eql(allTiles(bbox));
+    });
+  });
+
+  it('merges adjacent ranges', function () {
+    var ranges = QuadTile.tileRangesForArea(bboxes['a province']);
+    ranges.length.should.be.below(allTiles(bboxes['a province']).length / 50);
+    for (var i = 1; i < ranges.length; i++) {
+      ranges[i][0].should.be.above(ranges[i - 1][1] + 1);
+    }
+  });
+});
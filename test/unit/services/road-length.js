@@ -0,0 +1,64 @@
+'use strict';
+
+var roadLength = require('../../../services/road-length');
+var clip = require('../../../services/clip');
+
+function line(coordinates) {
+  return {
+    type: 'Feature',
+    properties: { highway: 'primary' },
+    geometry: { type: 'LineString', coordinates: coordinates }
+  };
+}
+
+describe('Road length', function () {
+  it('measures distances on the WGS84 ellipsoid', function () {
+    // A degree along the equator, and along a meridian.
+    roadLength.distance([0, 0], [1, 0]).should.be.approximately(111.3195, 0.0001);
+    roadLength.distance([0, 0], [0, 1]).should.be.approximately(110.5744, 0.0001);
+    roadLength.distance([123.81, 9.61], [123.81, 9.61]).should.equal(0);
+  });
+
+  it('measures lines and multilines', function () {
+    var coordinates = [[123.81, 9.61], [123.82, 9.62], [123.83, 9.61]];
+    var length = roadLength.lineLength(coordinates);
+    length.should.be.approximately(3.116, 0.001);
+    roadLength.featureLength(line(coordinates)).should.equal(length);
+    roadLength.featureLength({
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'MultiLineString', coordinates: [coordinates, coordinates] }
+    }).should.equal(2 * length);
+  });
+
+  it('adds the length of roads to their properties', function () {
+    var collection = {
+      type: 'FeatureCollection',
+      features: [
+        line([[123.81, 9.61], [123.82, 9.62]]),
+        line([[123.82, 9.62], [123.83, 9.61]]),
+        {
+          type: 'Feature',
+          properties: { highway: 'milestone' },
+          geometry: { type: 'Point', coordinates: [123.81, 9.61] }
+        }
+      ]
+    };
+    roadLength.addLengths(collection).should.equal(3.117);
+    collection.features[0].properties.length_km.should.equal(1.558);
+    collection.features[1].properties.length_km.should.equal(1.558);
+    collection.features[2].properties.should.not.have.property('length_km');
+  });
+
+  it('measures roads clipped to an area', function () {
+    var area = {
+      type: 'Polygon',
+      coordinates: [[[0, -1], [1, -1], [1, 1], [0, 1], [0, -1]]]
+    };
+    var roads = {
+      type: 'FeatureCollection',
+      features: clip([line([[-1, 0], [2, 0]])], area)
+    };
+    roadLength.addLengths(roads).should.equal(111.319);
+  });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+var Pbf = require('pbf');
+var VectorTile = require('../../../services/vector-tile');
+
+// Read the layers of a tile, with the properties of their features and their
+// geometry commands.
+function read(buffer) {
+  return new Pbf(buffer).readFields(function (tag, layers, pbf) {
+    if (tag !== 3) return;
+    var layer = pbf.readMessage(function (tag, layer, pbf) {
+      if (tag === 1) layer.name = pbf.readString();
+      else if (tag === 3) layer.keys.push(pbf.readString());
+      else if (tag === 5) layer.extent = pbf.readVarint();
+      else if (tag === 4) {
+        layer.values.push(pbf.readMessage(function (tag, value, pbf) {
+          if (tag === 1) value.value = pbf.readString();
+          else if (tag === 5) value.value = pbf.readVarint();
+        }, {}).value);
+      }
+      else if (tag === 2) {
+        layer.features.push(pbf.readMessage(function (tag, feature, pbf) {
+          if (tag === 1) feature.id = pbf.readVarint();
+          else if (tag === 2) feature.tags = pbf.readPackedVarint();
+          else if (tag === 3) feature.type = pbf.readVarint();
+          else if (tag === 4) feature.geometry = pbf.readPackedVarint();
+        }, {}));
+      }
+    }, { keys: [], values: [], features: [] });
+    layer.features.forEach(function (feature) {
+      feature.properties = {};
+      for (var i = 0; i < feature.tags.length; i += 2) {
+        feature.properties[layer.keys[feature.tags[i]]] = layer.values[feature.tags[i + 1]];
+      }
+    });
+    layers[layer.name] = layer;
+  }, {});
+}
+
+function collection(features) {
+  return { type: 'FeatureCollection', features: features };
+}
+
+describe('Vector tiles', function () {
+  // The tile of zoom 12 at 123.81, 9.61.
+  var z = 12, x = 3456, y = 1938;
+
+  it('finds the bounds of a tile', function () {
+    var bounds = VectorTile.tileBounds(z, x, y);
+    bounds.minLon.should.be.below(123.81);
+    bounds.maxLon.should.be.above(123.81);
+    bounds.minLat.should.be.below(9.61);
+    bounds.maxLat.should.be.above(9.61);
+    (bounds.maxLon - bounds.minLon).should.equal(360 / 4096);
+  });
+
+  it('writes layers, with the properties of features', function () {
+    var tile = read(VectorTile.write({
+      roads: collection([{
+        type: 'Feature',
+        id: 26,
+        properties: { highway: 'primary', or_rdclass: 'national' },
+        geometry: { type: 'LineString', coordinates: [[123.805, 9.605], [123.815, 9.615]] }
+      }, {
+        type: 'Feature',
+        id: 27,
+        properties: { highway: 'primary' },
+        geometry: { type: 'LineString', coordinates: [[123.805, 9.605], [123.806, 9.606]] }
+      }]),
+      admin: collection([])
+    }, z, x, y));
+
+    Object.keys(tile).should.eql(['roads']);
+    tile.roads.extent.should.equal(4096);
+    tile.roads.features.should.have.lengthOf(2);
+    tile.roads.features[0].id.should.equal(26);
+    tile.roads.features[0].type.should.equal(2);
+    tile.roads.features[0].properties.should.eql({ highway: 'primary', or_rdclass: 'national' });
+    // Values are written once.
+    tile.roads.values.should.eql(['primary', 'national']);
+  });
+
+  it('leaves out what is outside of the tile', function () {
+    var tile = read(VectorTile.write({
+      roads: collection([{
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'LineString', coordinates: [[120, 5], [120.1, 5.1]] }
+      }])
+    }, z, x, y));
+    Object.keys(tile).should.have.lengthOf(0);
+  });
+
+  it('clips lines into the parts that are inside', function () {
+    var parts = VectorTile.clipLine([[-10, 5], [5, 5], [5, 20], [5, 5], [20, 5]], 0, 10);
+    parts.should.eql([[[0, 5], [5, 5], [5, 10]], [[5, 10], [5, 5], [10, 5]]]);
+  });
+
+  it('clips rings to the tile', function () {
+    var ring = VectorTile.clipRing([[-5, -5], [5, -5], [5, 5], [-5, 5]], 0, 10);
+    ring.should.have.lengthOf(4);
+    ring.should.containEql([0, 0]);
+    ring.should.containEql([5, 5]);
+  });
+
+  it('simplifies lines, keeping their ends', function () {
+    var line = [[0, 0], [1, 0.1], [2, -0.1], [3, 5], [4, 0], [5, 0]];
+    VectorTile.simplify(line, 1).should.eql([[0, 0], [2, -0.1], [3, 5], [5, 0]]);
+    VectorTile.simplify(line, 10).should.eql([[0, 0], [5, 0]]);
+  });
+
+  it('writes the points of a MultiPoint in a single MoveTo', function () {
+    var bounds = VectorTile.tileBounds(z, x, y);
+    var tile = read(VectorTile.write({
+      bridges: collection([{
+        type: 'Feature',
+        properties: { bridge: 'yes' },
+        geometry: { type: 'MultiPoint', coordinates: [
+          [bounds.minLon, bounds.maxLat],
+          [bounds.maxLon, bounds.minLat],
+          // Outside of the tile.
+          [bounds.maxLon + 1, bounds.minLat]
+        ] }
+      }])
+    }, z, x, y));
+
+    var feature = tile.bridges.features[0];
+    feature.type.should.equal(1);
+    // MoveTo two points, from the top left corner to the bottom right one.
+    feature.geometry.should.eql([(2 << 3) | 1, 0, 0, 4096 * 2, 4096 * 2]);
+  });
+
+  it('writes polygons with the exterior ring clockwise', function () {
+    var bounds = VectorTile.tileBounds(z, x, y);
+    var tile = read(VectorTile.write({
+      admin: collection([{
+        type: 'Feature',
+        properties: { name: 'Tagbilaran' },
+        // Counterclockwise, as in GeoJSON, and bigger than the tile.
+        geometry: { type: 'Polygon', coordinates: [[
+          [bounds.minLon - 1, bounds.minLat - 1],
+          [bounds.maxLon + 1, bounds.minLat - 1],
+          [bounds.maxLon + 1, bounds.maxLat + 1],
+          [bounds.minLon - 1, bounds.maxLat + 1],
+          [bounds.minLon - 1, bounds.minLat - 1]
+        ]] }
+      }])
+    }, z, x, y));
+
+    var geometry = tile.admin.features[0].geometry;
+    tile.admin.features[0].type.should.equal(3);
+    // MoveTo, then LineTo three points, and ClosePath.
+    geometry[0].should.equal(9);
+    geometry[3].should.equal((3 << 3) | 2);
+    geometry[geometry.length - 1].should.equal(15);
+
+    // The buffered tile, clockwise since y goes down.
+    function unzigzag(n) {
+      return (n >> 1) ^ (-(n & 1));
+    }
+    var point = [0, 0];
+    var points = [];
+    [1, 4, 6, 8].forEach(function (i) {
+      point = [point[0] + unzigzag(geometry[i]), point[1] + unzigzag(geometry[i + 1])];
+      points.push(point);
+    });
+    points.should.containEql([-64, -64]);
+    points.should.containEql([4160, 4160]);
+    var area = 0;
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+      area += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+    }
+    area.should.be.above(0);
+  });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+var fs = require('fs');
+var readStream = require('../../../services/xml-stream');
+var XML = require('../../../services/xml');
+
+var file = require.resolve('../fixtures/osc-malvar-road.xml');
+
+describe('XML stream reader', function () {
+  it('reads the same entities as XML.read, in batches', function (done) {
+    var expected = XML.read(fs.readFileSync(file).toString());
+    var nodes = [];
+    var ways = [];
+    var batches = 0;
+
+    readStream(fs.createReadStream(file), function (batch) {
+      batches += 1;
+      nodes = nodes.concat(batch.create.node || []);
+      ways = ways.concat(batch.create.way || []);
+    }, { batchSize: 50 })
+    .then(function () {
+      batches.should.be.above(1);
+      nodes.should.eql(expected.create.node);
+      ways.should.eql(expected.create.way);
+      done();
+    })
+    .catch(done);
+  });
+
+  it('reads entities in an OSM document as creations', function (done) {
+    var stream = new (require('stream').PassThrough)();
+    var created;
+    readStream(stream, function (batch) {
+      created = batch.create;
+    })
+    .then(function () {
+      created.node[0].id.should.eql('-1');
+      created.node[0].tag.should.eql([{ k: 'a', v: 'b' }]);
+      done();
+    })
+    .catch(done);
+    stream.end('<osm version="0.6"><node id="-1" lat="1" lon="2"><tag k="a" v="b"/></node></osm>');
+  });
+
+  it('fails on a malformed document', function (done) {
+    var stream = new (require('stream').PassThrough)();
+    readStream(stream, function () {})
+    .then(function () {
+      done(new Error('The document should not be read'));
+    })
+    .catch(function (err) {
+      err.output.statusCode.should.eql(400);
+      done();
+    });
+    stream.end('<osmChange><create><node id="-1"></create>');
+  });
+});
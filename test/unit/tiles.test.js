@@ -0,0 +1,92 @@
+'use strict';
+var Node = require('./helpers/create-node.js');
+var Way = require('./helpers/create-way.js');
+var Change = require('./helpers/create-changeset.js');
+var serverTest = require('./helpers/server-test');
+
+var testChangeset = new serverTest.testChangeset();
+var get = serverTest.createGet('/tiles');
+
+describe('Vector tile endpoint', function() {
+  // The tile of zoom 12 at 123.81, 9.61.
+  var tile = '/12/3456/1938.mvt';
+  var changesetId;
+  var nodes;
+  var wayId;
+
+  after(function (done) {
+    testChangeset.remove()
+      .then(function () {
+        return done();
+      })
+      .catch(done);
+  });
+
+  before('Create changeset', function (done) {
+    testChangeset.create()
+      .then(function (id) {
+        changesetId = id;
+        var cs = new Change();
+        nodes = [
+          new Node({ id: -1, changeset: id, lat: 9.61, lon: 123.81 }),
+          new Node({ id: -2, changeset: id, lat: 9.612, lon: 123.812 })
+        ];
+        var way = new Way({ changeset: id }).nodes(nodes)
+          .tags({ k: 'highway', v: 'road' });
+        cs.create('node', nodes).create('way', way);
+        return testChangeset.upload(cs.get());
+      })
+      .then(function (res) {
+        var created = JSON.parse(res.payload).created;
+        wayId = created.way['-1'];
+        nodes.forEach(function (node) {
+          node.id(created.node[node.id()]);
+        });
+        return done();
+      })
+      .catch(done);
+  });
+
+  it('returns the roads of a tile', function(done) {
+    get(tile)
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      res.headers['content-type'].should.match(/application\/x-protobuf/);
+      var payload = res.rawPayload.toString('binary');
+      payload.should.containEql('roads');
+      payload.should.containEql('highway');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns a new tile once an upload changes it', function(done) {
+    var cs = new Change();
+    var way = new Way({ id: wayId, version: 1, changeset: changesetId }).nodes(nodes)
+      .tags({ k: 'highway', v: 'unclassified' });
+    cs.modify('way', way);
+    testChangeset.upload(cs.get())
+    .then(function() {
+      return get(tile);
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(200);
+      res.rawPayload.toString('binary').should.containEql('unclassified');
+      done();
+    })
+    .catch(done);
+  });
+
+  it('returns a 400 for tiles that do not exist', function(done) {
+    get('/2/4/0.mvt')
+    .then(function(res) {
+      res.statusCode.should.eql(400);
+      return get('/23/0/0.mvt');
+    })
+    .then(function(res) {
+      res.statusCode.should.eql(400);
+      done();
+    })
+    .catch(done);
+  });
+});
@@ -57,6 +57,26 @@ describe('XML', function() {
     });
   });
 
+  describe('#read relations', function() {
+    var osc = '<osmChange version="0.6"><create>' +
+      '<node id="-1" lon="123.8" lat="9.5" version="0" changeset="1"/>' +
+      '<relation id="-1" version="0" changeset="1">' +
+      '<member type="node" ref="-1" role="stop"/>' +
+      '<member type="way" ref="21838" role=""/>' +
+      '<tag k="type" v="route"/></relation>' +
+      '</create></osmChange>';
+
+    it('Reads relations with their members and tags', function() {
+      var relation = XML.read(osc).create.relation[0];
+      relation.id.should.eql('-1');
+      relation.member.should.eql([
+        { type: 'node', ref: '-1', role: 'stop' },
+        { type: 'way', ref: '21838', role: '' }
+      ]);
+      relation.tag.should.eql([{ k: 'type', v: 'route' }]);
+    });
+  });
+
   describe('#write', function() {
 
     it('Should correctly write tags to nodes', function() {